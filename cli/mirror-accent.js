@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * MirrorAccent CLI - Score a recording against a target without opening the app
+ * Uses the same feature extraction, scoring and feedback as the practice screen
+ * (js/prosody.js), reading WAV files with a pure-JS decoder.
+ *
+ *   mirror-accent analyze --target target.wav --user take.wav
+ *   mirror-accent analyze --target target.wav --user take.wav --json > result.json
+ *
+ * Options: --start <seconds> skips a lead-in at the start of the user take (as shadowing
+ * does), --features adds the extracted features to the JSON output.
+ * Exit codes: 0 scored, 1 a file couldn't be read or decoded, 2 bad usage.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const ProsodyAnalyzer = require('../js/prosody.js');
+const { decodeWav } = require('./wav');
+
+const USAGE = `Usage: mirror-accent analyze --target <file.wav> --user <file.wav> [--json] [--features] [--start <seconds>]`;
+
+// Same names as the score cards in the app
+const METRICS = [
+    ['f0', 'F0 (Pitch)'],
+    ['formants', 'Formants (F1/F2)'],
+    ['intensity', 'Intensity'],
+    ['speakingRate', 'Speaking Rate'],
+    ['pitchRange', 'Pitch Range'],
+    ['duration', 'Duration']
+];
+
+/**
+ * Decode a WAV file and extract its features (first channel, as the app does)
+ */
+function analyzeFile(analyzer, file, startTime = 0) {
+    const { sampleRate, channels } = decodeWav(fs.readFileSync(file));
+    let samples = channels[0];
+    if (startTime > 0) {
+        samples = samples.subarray(Math.min(samples.length, Math.floor(startTime * sampleRate)));
+    }
+    return analyzer.analyzeSamples(samples, sampleRate);
+}
+
+/**
+ * @returns {object} - { target, user, scores, feedback, features? }
+ */
+function analyze({ target, user, start = 0, features = false }) {
+    const analyzer = new ProsodyAnalyzer();
+    const targetFeatures = analyzeFile(analyzer, target);
+    const userFeatures = analyzeFile(analyzer, user, start);
+    const scores = analyzer.compareProsody(targetFeatures, userFeatures);
+
+    const result = {
+        target: { file: target, duration: targetFeatures.duration },
+        user: { file: user, duration: userFeatures.duration },
+        scores,
+        feedback: analyzer.generateFeedback(scores, targetFeatures, userFeatures)
+    };
+    if (features) {
+        result.features = { target: targetFeatures, user: userFeatures };
+    }
+    return result;
+}
+
+function formatReport(result) {
+    const percent = value => `${Math.round(value * 100)}%`.padStart(5);
+    const lines = [
+        `Target: ${path.basename(result.target.file)} (${result.target.duration.toFixed(1)}s)`,
+        `User:   ${path.basename(result.user.file)} (${result.user.duration.toFixed(1)}s)`,
+        '',
+        `${'Overall'.padEnd(18)}${percent(result.scores.overall)}`,
+        ...METRICS.map(([key, label]) => `${label.padEnd(18)}${percent(result.scores[key])}`),
+        '',
+        'Feedback:',
+        ...result.feedback.map(line => `  - ${line}`)
+    ];
+    return lines.join('\n');
+}
+
+function parseCommand(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            target: { type: 'string' },
+            user: { type: 'string' },
+            start: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            features: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) return { command: 'help' };
+    if (positionals[0] !== 'analyze') {
+        throw new Error(positionals[0] ? `Unknown command: ${positionals[0]}` : 'Missing command');
+    }
+    if (!values.target || !values.user) {
+        throw new Error('Both --target and --user are required');
+    }
+
+    const start = values.start !== undefined ? Number(values.start) : 0;
+    if (!Number.isFinite(start) || start < 0) {
+        throw new Error('--start must be a number of seconds');
+    }
+    return { command: 'analyze', target: values.target, user: values.user, start, json: values.json, features: values.features };
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseCommand(argv);
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.command === 'help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let result;
+    try {
+        result = analyze(options);
+    } catch (error) {
+        console.error(`mirror-accent: ${error.message}`);
+        return 1;
+    }
+
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatReport(result));
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { analyze, formatReport, main };
@@ -0,0 +1,85 @@
+/**
+ * WAV Decoder - Pure-JS reader for RIFF/WAVE files, for analysis outside the browser
+ * Handles integer PCM (8, 16, 24 and 32-bit) and IEEE float (32 and 64-bit),
+ * including WAVE_FORMAT_EXTENSIBLE headers. Compressed formats are rejected.
+ */
+
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * @param {Buffer} buffer - Contents of a .wav file
+ * @returns {object} - { sampleRate, channels: [Float32Array] (-1..1), duration }
+ */
+function decodeWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a WAV file (missing RIFF/WAVE header)');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+        // Streamed files sometimes leave the data size at 0 or past the end
+        const end = Math.min(buffer.length, size > 0 ? start + size : buffer.length);
+
+        if (id === 'fmt ') {
+            format = readFormat(buffer, start);
+        } else if (id === 'data') {
+            data = buffer.subarray(start, end);
+        }
+        offset = start + size + (size % 2); // Chunks are padded to an even length
+        if (size === 0 && id === 'data') break;
+    }
+
+    if (!format) throw new Error('WAV file has no fmt chunk');
+    if (!data) throw new Error('WAV file has no data chunk');
+
+    const bytesPerSample = format.bitsPerSample / 8;
+    const frameSize = bytesPerSample * format.channelCount;
+    const frames = Math.floor(data.length / frameSize);
+    const read = sampleReader(format);
+
+    const channels = Array.from({ length: format.channelCount }, () => new Float32Array(frames));
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < format.channelCount; ch++) {
+            channels[ch][i] = read(data, i * frameSize + ch * bytesPerSample);
+        }
+    }
+
+    return { sampleRate: format.sampleRate, channels, duration: frames / format.sampleRate };
+}
+
+function readFormat(buffer, start) {
+    let audioFormat = buffer.readUInt16LE(start);
+    const format = {
+        channelCount: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+    };
+    if (audioFormat === FORMAT_EXTENSIBLE) {
+        // The real format code is the first two bytes of the sub-format GUID
+        audioFormat = buffer.readUInt16LE(start + 24);
+    }
+    if (audioFormat !== FORMAT_PCM && audioFormat !== FORMAT_FLOAT) {
+        throw new Error(`Unsupported WAV encoding (format ${audioFormat}); convert to PCM or float first`);
+    }
+    format.float = audioFormat === FORMAT_FLOAT;
+    return format;
+}
+
+function sampleReader({ float, bitsPerSample }) {
+    if (float && bitsPerSample === 32) return (data, at) => data.readFloatLE(at);
+    if (float && bitsPerSample === 64) return (data, at) => data.readDoubleLE(at);
+    if (!float && bitsPerSample === 8) return (data, at) => (data.readUInt8(at) - 128) / 128;
+    if (!float && bitsPerSample === 16) return (data, at) => data.readInt16LE(at) / 0x8000;
+    if (!float && bitsPerSample === 24) return (data, at) => data.readIntLE(at, 3) / 0x800000;
+    if (!float && bitsPerSample === 32) return (data, at) => data.readInt32LE(at) / 0x80000000;
+    throw new Error(`Unsupported WAV sample size (${bitsPerSample}-bit ${float ? 'float' : 'PCM'})`);
+}
+
+module.exports = { decodeWav };
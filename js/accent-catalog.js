@@ -0,0 +1,50 @@
+/**
+ * Accent Catalog - Renderer view of the accent registry kept by the main process
+ * Each entry: { id, name, voiceId, modelId, stsModelId, voiceSettings, flag, description }
+ */
+
+class AccentCatalog {
+    constructor() {
+        this.accents = [];
+        this.error = null; // Set while the user's accents.json can't be read; edits are refused until it's fixed
+    }
+
+    async load() {
+        ({ accents: this.accents, error: this.error } = await window.electronAPI.getAccents());
+        return this.accents;
+    }
+
+    list() {
+        return this.accents;
+    }
+
+    get(id) {
+        return this.accents.find(a => a.id === id) || null;
+    }
+
+    getName(id) {
+        const accent = this.get(id);
+        return accent ? accent.name : id;
+    }
+
+    /**
+     * Add or update an entry and refresh the list
+     */
+    async save(accent) {
+        const saved = await window.electronAPI.saveAccent(accent);
+        await this.load();
+        return saved;
+    }
+
+    async remove(id) {
+        await window.electronAPI.removeAccent(id);
+        await this.load();
+    }
+
+    async openFile() {
+        await window.electronAPI.openAccentsFile();
+    }
+}
+
+// Export
+window.AccentCatalog = AccentCatalog;
@@ -6,94 +6,893 @@
 class MirrorAccentApp {
     constructor() {
         // Modules
-        this.recorder = new AudioRecorder();
-        this.api = new ElevenLabsAPI();
         this.prosody = new ProsodyAnalyzer();
+        this.recorder = new AudioRecorder(this.prosody);
+        this.accents = new AccentCatalog();
+        this.prompts = new PromptCatalog();
+        this.api = new ElevenLabsAPI(this.accents);
+        this.localProvider = new LocalReferenceProvider();
+        this.scheduler = new PromptScheduler();
+        this.aligner = new WordAligner(this.prosody);
+        this.practice = new PracticeManager(this.api, this.prosody, this.scheduler, this.aligner);
+        this.voiceClone = new VoiceCloneOnboarding(this.recorder, this.api);
+        this.voiceSettings = new VoiceSettingsEditor(this.api, this.accents);
+        this.voiceManager = new VoiceManagerView(this.api, {
+            getDefaultVoiceId: () => this.settings.clonedVoice ? this.settings.clonedVoice.voiceId : null,
+            getCreatedVoiceIds: () => this.settings.createdVoiceIds || [],
+            onDefaultChange: (voice) => this.setDefaultClonedVoice(voice)
+        });
+        this.promptLibrary = new PromptLibraryView(this.prompts, {
+            onChange: () => this.applyPromptDeck()
+        });
+        this.charts = new ProsodyCharts(this.prosody);
+        this.vowelDrill = new VowelDrillView(this.recorder, this.prosody, this.charts, {
+            getProvider: () => this.practice.getProvider()
+        });
+        this.progress = new ProgressView(this.charts, (accent) => this.api.getAccentName(accent));
+        this.pitchTrace = new LivePitchTrace(document.getElementById('user-waveform'), this.recorder, this.prosody);
+        this.monitor = new RecordingMonitor(this.recorder, {
+            waveform: 'user-waveform',
+            meter: 'user-level-meter',
+            warning: 'practice-recording-warning'
+        });
 
         // State
         this.currentScreen = 'welcome';
         this.selectedAccent = null;
         this.isRecording = false;
         this.userRecordingBlob = null;
-        this.accentTransformedBlob = null;
-        this.userFeatures = null;
-        this.targetFeatures = null;
-
-        // Session stats
-        this.sessionStats = { attempts: 0, totalScore: 0, bestScore: 0 };
-
-        // Practice prompts
-        this.prompts = [
-            "The weather today is absolutely beautiful, isn't it?",
-            "Could you please pass me that book on the table?",
-            "I've been thinking about going to the cinema this weekend.",
-            "What time does the train arrive at the station?",
-            "She asked if we could meet for coffee tomorrow morning.",
-            "The restaurant around the corner serves excellent food.",
-            "I haven't seen such a magnificent sunset in years.",
-            "Would you mind helping me carry these bags upstairs?",
-            "They're planning to renovate the old building next month.",
-            "I'd rather stay home and read a good book tonight."
-        ];
-        this.currentPrompt = null;
+        this.takeQuality = null;
+        this.targetPlayback = null;
+        this.shadowOffset = 0;
+        this.screenBeforeProgress = 'welcome';
+        this.screenBeforeVoices = 'welcome';
+        this.screenBeforePrompts = 'welcome';
 
         this.init();
     }
 
     async init() {
+        this.api.onAuthError = () => this.handleAuthError();
         this.bindEvents();
+        this.bindPracticeEvents();
+        this.bindVoiceCloneEvents();
+        await this.loadAccents();
+        await this.loadSettings();
+        await this.loadPrompts();
+        await this.loadSchedule();
         await this.checkApiKey();
-        // Enumerate audio devices for selection
+        // Enumerate audio devices for selection and follow hot-plugging
         await this.loadAudioDevices();
+        this.recorder.onDevicesChanged = () => this.loadAudioDevices();
+        this.recorder.onDeviceLost = () => this.handleDeviceLost();
+        this.recorder.watchDevices();
     }
 
+    /**
+     * Fill the microphone list and record from the saved mic. If it isn't connected,
+     * the system default is used until it comes back.
+     */
     async loadAudioDevices() {
+        let devices;
         try {
-            const devices = await this.recorder.getAudioDevices();
-            const select = document.getElementById('audio-device-select');
-            if (select) {
-                select.innerHTML = devices.map(d =>
-                    `<option value="${d.deviceId}" ${d.isDefault ? 'selected' : ''}>${d.label}</option>`
-                ).join('');
-            }
+            devices = await this.recorder.getAudioDevices();
         } catch (error) {
             console.error('Failed to load audio devices:', error);
+            document.getElementById('audio-device-status').textContent = error.message;
+            return;
+        }
+
+        const preferred = this.settings.audioDeviceId;
+        const connected = preferred && devices.some(d => d.deviceId === preferred);
+        const deviceId = connected ? preferred : null;
+
+        document.getElementById('audio-device-select').innerHTML = devices.map(d => {
+            const selected = deviceId ? d.deviceId === deviceId : d.isDefault;
+            return `<option value="${escapeHtml(d.deviceId)}" ${selected ? 'selected' : ''}>${escapeHtml(d.label)}</option>`;
+        }).join('');
+        document.getElementById('audio-device-status').textContent = preferred && !connected
+            ? 'Your saved microphone isn\'t connected. Using the system default until it is plugged back in.'
+            : '';
+
+        // A take in progress keeps its input; the switch happens after it
+        if (deviceId !== this.recorder.selectedDeviceId && !this.recorder.isRecording) {
+            this.recorder.setDevice(deviceId);
+        }
+    }
+
+    async setAudioDevice(deviceId) {
+        const device = this.recorder.availableDevices.find(d => d.deviceId === deviceId);
+        this.settings = await window.electronAPI.updateSettings({
+            audioDeviceId: device && device.deviceId !== 'default' ? deviceId : null
+        });
+        await this.loadAudioDevices();
+        this.renderTrackSettings();
+    }
+
+    /**
+     * The open microphone was unplugged: drop the take it was recording and switch
+     * to whatever is still connected
+     */
+    async handleDeviceLost() {
+        const wasRecording = this.isRecording || this.voiceClone.isRecording || this.vowelDrill.recordingSide !== null;
+
+        if (this.isRecording) {
+            await this.toggleRecording();
+        }
+        await this.voiceClone.cancel();
+        await this.vowelDrill.cancel();
+        if (this.currentScreen === 'drills') this.vowelDrill.renderPair();
+
+        await this.loadAudioDevices();
+        if (wasRecording) {
+            alert('Your microphone was disconnected, so that take was discarded. Check the microphone in Settings and record it again.');
         }
     }
 
     bindEvents() {
         // Settings
-        document.getElementById('settings-btn').addEventListener('click', () => this.openModal('settings-modal'));
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            this.renderTrackSettings();
+            this.renderAudioCacheStats();
+            this.openModal('settings-modal');
+        });
         document.querySelector('.close-modal').addEventListener('click', () => this.closeModal('settings-modal'));
         document.querySelector('.modal-backdrop').addEventListener('click', () => this.closeModal('settings-modal'));
         document.getElementById('save-api-key-btn').addEventListener('click', () => this.saveApiKey());
+        document.getElementById('validate-api-key-btn').addEventListener('click', () => this.validateApiKey());
+        document.getElementById('clear-api-key-btn').addEventListener('click', () => this.clearApiKey());
         document.querySelector('.toggle-visibility').addEventListener('click', (e) => this.togglePasswordVisibility(e));
+        document.getElementById('keep-history-audio').addEventListener('change', (e) => {
+            window.electronAPI.updateSettings({ keepHistoryAudio: e.target.checked });
+        });
+        document.getElementById('target-provider-select').addEventListener('change', (e) => this.setTargetProvider(e.target.value));
+        document.getElementById('choose-reference-folder-btn').addEventListener('click', () => this.chooseReferenceFolder());
+        ['api-base-url-input', 'request-timeout-input', 'max-retries-input'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveConnectionSettings());
+        });
+        document.getElementById('audio-device-select').addEventListener('change', (e) => this.setAudioDevice(e.target.value));
+        document.getElementById('audio-cache-limit').addEventListener('change', (e) => this.setAudioCacheLimit(e.target.value));
+        document.getElementById('clear-audio-cache-btn').addEventListener('click', () => this.clearAudioCache());
+        ['capture-echo-cancellation', 'capture-noise-suppression', 'capture-auto-gain',
+            'capture-sample-rate', 'capture-channel-count'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.saveCaptureSettings());
+        });
+
+        // Progress
+        document.getElementById('progress-btn').addEventListener('click', () => this.showProgress());
+        document.getElementById('back-from-progress').addEventListener('click', () => this.showScreen(this.screenBeforeProgress));
+        document.getElementById('progress-accent-select').addEventListener('change', (e) => this.progress.setAccentFilter(e.target.value));
+        document.querySelectorAll('#progress-granularity .tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('#progress-granularity .tab').forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+                this.progress.setGranularity(tab.dataset.granularity);
+            });
+        });
+        document.getElementById('clear-history-btn').addEventListener('click', () => this.clearHistory());
+
+        // Accent selection (cards are rendered from the accent catalog)
+        document.getElementById('accent-grid').addEventListener('click', (e) => {
+            const remove = e.target.closest('.accent-remove');
+            const card = e.target.closest('.accent-card');
+            if (remove) {
+                this.removeAccent(remove.dataset.accent);
+            } else if (card && card.id === 'add-accent-card') {
+                this.openAccentModal();
+            } else if (card) {
+                this.selectAccent(card.dataset.accent);
+            }
+        });
+        document.getElementById('open-accents-file-btn').addEventListener('click', () => {
+            this.accents.openFile().catch(error => alert('Could not open accents.json: ' + error.message));
+        });
+        document.getElementById('close-accent-modal').addEventListener('click', () => this.closeModal('accent-modal'));
+        document.getElementById('accent-modal-backdrop').addEventListener('click', () => this.closeModal('accent-modal'));
+        document.getElementById('accent-voice-select').addEventListener('change', () => this.fillAccentFromVoice());
+        document.getElementById('save-accent-btn').addEventListener('click', () => this.saveAccent());
+
+        // Per-accent voice settings
+        document.getElementById('voice-settings-btn').addEventListener('click', () => this.openVoiceSettings());
+        document.getElementById('close-voice-settings').addEventListener('click', () => this.closeModal('voice-settings-modal'));
+        document.getElementById('voice-settings-backdrop').addEventListener('click', () => this.closeModal('voice-settings-modal'));
+        this.voiceSettings.onSave = () => {
+            // Targets already fetched were rendered with the old settings
+            if (this.currentScreen === 'practice') this.practice.resetTarget();
+        };
+
+        // Voice cloning
+        document.getElementById('back-to-welcome').addEventListener('click', async () => {
+            await this.voiceClone.cancel();
+            this.showScreen('welcome');
+        });
+        document.getElementById('record-btn').addEventListener('click', () => {
+            this.voiceClone.toggleRecording().catch(error => alert('Mic error: ' + error.message));
+        });
+        document.getElementById('play-recording-btn').addEventListener('click', () => this.voiceClone.playRecording());
+        document.getElementById('re-record-btn').addEventListener('click', () => this.voiceClone.reRecord());
+        document.getElementById('next-paragraph-btn').addEventListener('click', () => this.voiceClone.nextParagraph());
+        document.getElementById('skip-clone-btn').addEventListener('click', () => this.skipVoiceClone());
+        document.getElementById('clone-sample-btn').addEventListener('click', () => this.voiceClone.playSample());
+        document.getElementById('clone-continue-btn').addEventListener('click', () => this.startPractice());
+        document.getElementById('retry-clone-btn').addEventListener('click', () => this.voiceClone.process());
+        document.getElementById('clone-skip-btn').addEventListener('click', () => this.skipVoiceClone());
+        document.getElementById('use-cloned-voice').addEventListener('change', (e) => this.setUseClonedVoice(e.target.checked));
+        document.getElementById('reclone-btn').addEventListener('click', () => this.startVoiceClone());
 
-        // Accent selection - go directly to practice
-        document.querySelectorAll('.accent-card').forEach(card => {
-            card.addEventListener('click', () => this.selectAccent(card));
+        // Voice management
+        document.getElementById('manage-voices-btn').addEventListener('click', () => this.showVoices());
+        document.getElementById('back-from-voices').addEventListener('click', () => this.showScreen(this.screenBeforeVoices));
+        document.getElementById('voice-cleanup-btn').addEventListener('click', () => this.voiceManager.cleanupStale());
+        document.getElementById('auto-cleanup-clones').addEventListener('change', (e) => {
+            window.electronAPI.updateSettings({ autoCleanupClones: e.target.checked });
         });
 
+        // Vowel drills
+        document.getElementById('vowel-drills-btn').addEventListener('click', () => this.showDrills());
+        document.getElementById('back-from-drills').addEventListener('click', async () => {
+            await this.vowelDrill.cancel();
+            this.showScreen('practice');
+        });
+        document.getElementById('drill-select').addEventListener('change', (e) => this.vowelDrill.selectDrill(e.target.value));
+        document.getElementById('next-pair-btn').addEventListener('click', () => this.vowelDrill.nextPair());
+
+        // Prompt library
+        document.getElementById('prompts-btn').addEventListener('click', () => this.showPrompts());
+        document.getElementById('back-from-prompts').addEventListener('click', () => this.showScreen(this.screenBeforePrompts));
+        document.getElementById('import-prompts-btn').addEventListener('click', () => this.promptLibrary.importFiles());
+        ['deck', 'topic', 'difficulty', 'phoneme'].forEach(filter => {
+            document.getElementById(`prompt-${filter}-filter`).addEventListener('change', (e) => this.promptLibrary.setFilter(filter, e.target.value));
+        });
+        document.getElementById('save-deck-btn').addEventListener('click', () => this.promptLibrary.saveDeck());
+        document.getElementById('delete-deck-btn').addEventListener('click', () => this.promptLibrary.deleteDeck());
+        document.getElementById('delete-prompts-btn').addEventListener('click', () => this.promptLibrary.deleteSelected());
+        document.getElementById('practice-deck-select').addEventListener('change', (e) => this.setActiveDeck(e.target.value));
+
         // Practice screen
         document.querySelectorAll('.practice-mode-tabs .tab').forEach(tab => {
             tab.addEventListener('click', () => this.switchPracticeMode(tab));
         });
         document.getElementById('play-target-btn').addEventListener('click', () => this.playTransformedAudio());
         document.getElementById('practice-record-btn').addEventListener('click', () => this.toggleRecording());
-        document.getElementById('new-prompt-btn').addEventListener('click', () => this.newPrompt());
+        document.getElementById('new-prompt-btn').addEventListener('click', () => this.nextPrompt());
         document.getElementById('analyze-btn').addEventListener('click', () => this.transformAndAnalyze());
 
         // Results screen
         document.getElementById('back-to-practice').addEventListener('click', () => this.showScreen('practice'));
         document.getElementById('try-again-btn').addEventListener('click', () => this.resetPractice());
-        document.getElementById('continue-practice-btn').addEventListener('click', () => this.newPrompt());
+        document.getElementById('continue-practice-btn').addEventListener('click', () => this.nextPrompt());
+        document.querySelectorAll('.aligned-card .chart-toggle .tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.aligned-card .chart-toggle .tab').forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+                this.charts.showAligned(tab.dataset.aligned);
+            });
+        });
+    }
+
+    /**
+     * Render the practice session from PracticeManager events
+     */
+    bindPracticeEvents() {
+        const targetDuration = document.getElementById('target-duration');
+        const analyzeBtn = document.getElementById('analyze-btn');
+
+        this.practice.on('mode', () => this.applyPracticeMode());
+
+        this.practice.on('prompt', ({ prompt }) => {
+            const promptEl = document.getElementById('practice-prompt');
+            if (promptEl) promptEl.textContent = prompt;
+            this.renderPromptTags(prompt);
+            this.resetTake();
+            targetDuration.textContent = '0:00';
+            document.getElementById('target-waveform').innerHTML = '';
+        });
+
+        this.practice.on('target-loading', () => {
+            targetDuration.textContent = 'Loading...';
+        });
+
+        this.practice.on('target', ({ features }) => {
+            targetDuration.textContent = this.formatDuration(features.duration);
+            this.charts.envelope(document.getElementById('target-waveform'), features);
+        });
+
+        this.practice.on('target-error', ({ error }) => {
+            targetDuration.textContent = '0:00';
+            // Key problems are shown in the settings modal instead
+            if (!error.isAuthError) {
+                alert('Could not generate the target audio: ' + error.message);
+            }
+        });
+
+        this.practice.on('status', ({ stage, progress }) => {
+            const labels = {
+                transforming: 'Transforming...',
+                analyzing: progress !== undefined ? `Analyzing... ${Math.round(progress * 100)}%` : 'Analyzing...'
+            };
+            analyzeBtn.textContent = labels[stage] || this.getAnalyzeLabel();
+            analyzeBtn.disabled = stage !== 'idle' || !this.canAnalyze();
+        });
+
+        this.practice.on('attempt', (result) => {
+            const { scores, feedback, words, targetFeatures, userFeatures } = result;
+            this.displayResults(scores, feedback);
+            this.displayWords(words);
+            document.querySelectorAll('.aligned-card .chart-toggle .tab').forEach(t => t.classList.toggle('active', t.dataset.aligned === 'f0'));
+            this.charts.render(targetFeatures, userFeatures);
+            this.showScreen('results');
+            this.saveAttempt(result);
+        });
+
+        this.practice.on('stats', (stats) => this.updatePracticeUI(stats));
+        this.practice.on('queue', ({ due, fresh }) => {
+            document.getElementById('due-count').textContent = due;
+            document.getElementById('due-count').title = `${fresh} not practiced yet`;
+        });
+    }
+
+    async loadAccents() {
+        try {
+            await this.accents.load();
+            if (this.accents.error) alert(this.accents.error);
+        } catch (error) {
+            console.error('Failed to load accents:', error);
+        }
+        this.renderAccentGrid();
+    }
+
+    /**
+     * Welcome grid: one card per catalog entry plus an "add" card
+     */
+    renderAccentGrid() {
+        const grid = document.getElementById('accent-grid');
+
+        grid.innerHTML = this.accents.list().map(accent => `
+            <button class="accent-card ${accent.id === this.selectedAccent ? 'selected' : ''}" data-accent="${escapeHtml(accent.id)}">
+                ${accent.custom ? `<span class="accent-remove" data-accent="${escapeHtml(accent.id)}" title="Remove accent">×</span>` : ''}
+                <span class="accent-flag">${escapeHtml(accent.flag)}</span>
+                <span class="accent-name">${escapeHtml(accent.name)}</span>
+                <span class="accent-desc">${escapeHtml(accent.description)}</span>
+            </button>`).join('') + `
+            <button class="accent-card accent-card-add" id="add-accent-card">
+                <span class="accent-flag">＋</span>
+                <span class="accent-name">Add Accent</span>
+                <span class="accent-desc">From your voice library</span>
+            </button>`;
+    }
+
+    async openAccentModal() {
+        if (!this.api.isInitialized) {
+            alert('Add your ElevenLabs API key in Settings first - new accents come from your voice library.');
+            return;
+        }
+
+        const voiceSelect = document.getElementById('accent-voice-select');
+        const modelSelect = document.getElementById('accent-model-select');
+        ['accent-name-input', 'accent-flag-input', 'accent-description-input'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        voiceSelect.innerHTML = '<option value="">Loading voices...</option>';
+        this.openModal('accent-modal');
+
+        try {
+            const [{ voices = [] }, models] = await Promise.all([
+                this.api.getVoices(),
+                this.api.getModels().catch(() => [])
+            ]);
+            // The user's own clones aren't accent references
+            this.libraryVoices = voices.filter(v => !this.api.isOwnClone(v));
+
+            voiceSelect.innerHTML = '<option value="">Choose a voice...</option>' + this.libraryVoices.map(v => {
+                const accent = v.labels && v.labels.accent ? ` - ${v.labels.accent}` : '';
+                return `<option value="${escapeHtml(v.voice_id)}">${escapeHtml(v.name + accent)}</option>`;
+            }).join('');
+
+            const ttsModels = models.filter(m => m.can_do_text_to_speech);
+            const modelIds = ttsModels.length ? ttsModels.map(m => m.model_id) : [ElevenLabsAPI.TTS_MODEL];
+            modelSelect.innerHTML = modelIds.map(id =>
+                `<option value="${escapeHtml(id)}" ${id === ElevenLabsAPI.TTS_MODEL ? 'selected' : ''}>${escapeHtml(id)}</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Failed to load voice library:', error);
+            voiceSelect.innerHTML = '<option value="">Could not load voices</option>';
+        }
+    }
+
+    /**
+     * Suggest a name and description from the chosen voice's labels
+     */
+    fillAccentFromVoice() {
+        const voice = (this.libraryVoices || []).find(v => v.voice_id === document.getElementById('accent-voice-select').value);
+        if (!voice) return;
+
+        const nameInput = document.getElementById('accent-name-input');
+        const descriptionInput = document.getElementById('accent-description-input');
+        const label = voice.labels && voice.labels.accent;
+        if (!nameInput.value && label) {
+            nameInput.value = label.charAt(0).toUpperCase() + label.slice(1);
+        }
+        if (!descriptionInput.value) {
+            descriptionInput.value = voice.description || `${voice.name}'s voice`;
+        }
+    }
+
+    async saveAccent() {
+        const voiceId = document.getElementById('accent-voice-select').value;
+        const name = document.getElementById('accent-name-input').value.trim();
+        if (!voiceId || !name) {
+            alert('Choose a voice and give the accent a name.');
+            return;
+        }
+
+        try {
+            await this.accents.save({
+                name,
+                voiceId,
+                modelId: document.getElementById('accent-model-select').value || ElevenLabsAPI.TTS_MODEL,
+                flag: document.getElementById('accent-flag-input').value.trim() || undefined,
+                description: document.getElementById('accent-description-input').value.trim(),
+                custom: true
+            });
+            this.renderAccentGrid();
+            this.closeModal('accent-modal');
+        } catch (error) {
+            alert('Could not save the accent: ' + error.message);
+        }
+    }
+
+    async openVoiceSettings() {
+        if (!this.api.isInitialized) {
+            alert('Add your ElevenLabs API key in Settings first.');
+            return;
+        }
+        this.openModal('voice-settings-modal');
+        await this.voiceSettings.open(this.selectedAccent, this.practice.getCurrentPrompt() || VoiceManagerView.PREVIEW_TEXT);
+    }
+
+    async removeAccent(accentId) {
+        if (!confirm(`Remove ${this.accents.getName(accentId)} from your accents? Your practice history is kept.`)) return;
+        try {
+            await this.accents.remove(accentId);
+        } catch (error) {
+            console.error('Failed to remove accent:', error);
+            alert(`Could not remove the accent: ${error.message}`);
+            return;
+        }
+        if (this.selectedAccent === accentId) this.selectedAccent = null;
+        this.renderAccentGrid();
+    }
+
+    bindVoiceCloneEvents() {
+        this.voiceClone.on('processing', () => this.showScreen('processing'));
+
+        this.voiceClone.on('created', async ({ voiceId, voiceName }) => {
+            this.settings = await window.electronAPI.updateSettings({
+                clonedVoice: { voiceId, name: voiceName, createdAt: Date.now() },
+                useClonedVoice: true,
+                createdVoiceIds: [...(this.settings.createdVoiceIds || []), voiceId]
+            });
+            this.applyClonedVoice();
+
+            // Clones this install replaced earlier are orphans on the account
+            if (this.settings.autoCleanupClones) {
+                await this.voiceManager.load();
+                await this.voiceManager.cleanupStale();
+            }
+        });
+    }
+
+    async loadSettings() {
+        this.settings = await window.electronAPI.getSettings();
+        document.getElementById('keep-history-audio').checked = this.settings.keepHistoryAudio;
+        document.getElementById('audio-cache-limit').value = this.settings.audioCacheMaxMb;
+        document.getElementById('target-provider-select').value = this.settings.targetProvider;
+        try {
+            await this.localProvider.setFolder(this.settings.referenceFolder);
+        } catch (error) {
+            console.error('Failed to index reference folder:', error);
+        }
+        await this.applyTargetProvider();
+        await this.loadConnectionSettings();
+        await this.loadCaptureSettings();
+        this.applyClonedVoice();
+        document.getElementById('auto-cleanup-clones').checked = this.settings.autoCleanupClones;
+    }
+
+    /**
+     * Hand the saved clone to the API and reflect it in settings
+     */
+    applyClonedVoice() {
+        const clone = this.settings.clonedVoice;
+        this.api.setClonedVoice(clone ? clone.voiceId : null, this.settings.useClonedVoice);
+
+        const checkbox = document.getElementById('use-cloned-voice');
+        checkbox.checked = Boolean(clone) && this.settings.useClonedVoice;
+        checkbox.disabled = !clone;
+        document.getElementById('cloned-voice-status').textContent = clone
+            ? `${clone.name} - created ${new Date(clone.createdAt).toLocaleDateString()}`
+            : 'No cloned voice yet';
+        document.getElementById('reclone-btn').textContent = clone ? 'Record a New Voice' : 'Record My Voice';
+    }
+
+    async setUseClonedVoice(enabled) {
+        this.settings = await window.electronAPI.updateSettings({ useClonedVoice: enabled });
+        this.applyClonedVoice();
+        // Targets already fetched were spoken in the other voice
+        if (this.currentScreen === 'practice') {
+            await this.practice.resetTarget();
+        }
+    }
+
+    /**
+     * @param {object|null} voice - { voiceId, name, createdAt } from the voice manager
+     */
+    async setDefaultClonedVoice(voice) {
+        this.settings = await window.electronAPI.updateSettings({
+            clonedVoice: voice ? { voiceId: voice.voiceId, name: voice.name, createdAt: voice.createdAt } : null
+        });
+        this.applyClonedVoice();
+        if (this.currentScreen === 'practice') {
+            await this.practice.resetTarget();
+        }
+    }
+
+    showVoices() {
+        this.closeModal('settings-modal');
+        if (this.currentScreen !== 'voices') {
+            this.screenBeforeVoices = this.currentScreen;
+        }
+        this.showScreen('voices');
+        this.voiceManager.load();
+    }
+
+    async loadPrompts() {
+        try {
+            await this.prompts.load();
+        } catch (error) {
+            console.error('Failed to load prompts:', error);
+        }
+        this.applyPromptDeck();
+    }
+
+    /**
+     * Point practice at the active deck; a deck that no longer exists falls back to the whole library
+     */
+    applyPromptDeck() {
+        const deckId = this.prompts.getDeck(this.settings.activeDeck) ? this.settings.activeDeck : '';
+        this.practice.setPrompts(this.prompts.getPool(deckId).map(p => p.text));
+
+        const select = document.getElementById('practice-deck-select');
+        select.innerHTML = '<option value="">All prompts</option>' + this.prompts.listDecks()
+            .map(d => `<option value="${escapeHtml(d.id)}" ${d.id === deckId ? 'selected' : ''}>${escapeHtml(d.name)}</option>`)
+            .join('');
+    }
+
+    async setActiveDeck(deckId) {
+        this.settings = await window.electronAPI.updateSettings({ activeDeck: deckId || null });
+        this.applyPromptDeck();
+        if (this.currentScreen === 'practice') {
+            await this.nextPrompt();
+        }
+    }
+
+    /**
+     * Rebuild review due dates from the saved attempts
+     */
+    async loadSchedule() {
+        try {
+            this.scheduler.load(await window.electronAPI.getHistory());
+        } catch (error) {
+            console.error('Failed to load practice history for scheduling:', error);
+        }
+    }
+
+    async nextPrompt() {
+        try {
+            await this.practice.selectNewPrompt();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    renderPromptTags(text) {
+        const prompt = this.prompts.findByText(text);
+        const tags = prompt ? [prompt.topic, prompt.difficulty, ...prompt.phonemes.map(p => `/${p}/`)].filter(Boolean) : [];
+        document.getElementById('practice-prompt-tags').innerHTML = tags
+            .map(tag => `<span class="prompt-tag">${escapeHtml(tag)}</span>`).join('');
+    }
+
+    async showDrills() {
+        this.showScreen('drills');
+        try {
+            await this.vowelDrill.load(this.selectedAccent);
+        } catch (error) {
+            console.error('Failed to load drills:', error);
+            this.vowelDrill.setStatus(`Could not load drills: ${error.message}`);
+        }
+    }
+
+    showPrompts() {
+        if (this.currentScreen !== 'prompts') {
+            this.screenBeforePrompts = this.currentScreen;
+        }
+        this.showScreen('prompts');
+        this.promptLibrary.load();
+    }
+
+    /**
+     * Open the paragraph recording flow from settings
+     */
+    startVoiceClone() {
+        const [firstAccent] = this.accents.list();
+        const accent = this.selectedAccent || (firstAccent && firstAccent.id);
+        if (!accent) {
+            alert('Add an accent first with the Add Accent card.');
+            return;
+        }
+        this.closeModal('settings-modal');
+        this.showScreen('recording');
+        this.voiceClone.start(accent);
+    }
+
+    async skipVoiceClone() {
+        await this.voiceClone.cancel();
+        this.settings = await window.electronAPI.updateSettings({ skipVoiceClone: true });
+        this.startPractice();
+    }
+
+    /**
+     * Fill the connection fields, noting any launch-time environment overrides
+     */
+    async loadConnectionSettings() {
+        const connection = await window.electronAPI.getConnection();
+        document.getElementById('api-base-url-input').value = this.settings.apiBaseUrl;
+        document.getElementById('request-timeout-input').value = Math.round(this.settings.requestTimeoutMs / 1000);
+        document.getElementById('max-retries-input').value = this.settings.maxRetries;
+
+        if (connection.overridden.length > 0) {
+            document.getElementById('connection-hint').textContent =
+                `Overridden by environment for this launch: using ${connection.apiBaseUrl}, ` +
+                `${connection.requestTimeoutMs / 1000}s timeout, ${connection.maxRetries} retries.`;
+        }
+    }
+
+    async saveConnectionSettings() {
+        const urlInput = document.getElementById('api-base-url-input');
+        const apiBaseUrl = urlInput.value.trim() || 'https://api.elevenlabs.io';
+        try {
+            new URL(apiBaseUrl);
+        } catch {
+            urlInput.setCustomValidity('Enter a full URL, e.g. http://localhost:8787');
+            urlInput.reportValidity();
+            return;
+        }
+        urlInput.setCustomValidity('');
+
+        const timeout = parseInt(document.getElementById('request-timeout-input').value, 10);
+        const retries = parseInt(document.getElementById('max-retries-input').value, 10);
+        this.settings = await window.electronAPI.updateSettings({
+            apiBaseUrl,
+            requestTimeoutMs: (timeout > 0 ? timeout : 60) * 1000,
+            maxRetries: retries >= 0 ? Math.min(retries, 10) : 2
+        });
+        await this.loadConnectionSettings();
+    }
+
+    async renderAudioCacheStats() {
+        const { entries, bytes, maxBytes } = await window.electronAPI.getAudioCacheStats();
+        const mb = value => (value / (1024 * 1024)).toFixed(1);
+        document.getElementById('audio-cache-status').textContent =
+            `${entries} clip${entries === 1 ? '' : 's'}, ${mb(bytes)} of ${mb(maxBytes)} MB. Targets are reused for the same prompt, accent, voice and settings instead of being generated again.`;
+    }
+
+    async setAudioCacheLimit(value) {
+        const limit = parseInt(value, 10);
+        this.settings = await window.electronAPI.updateSettings({ audioCacheMaxMb: limit >= 10 ? limit : 10 });
+        document.getElementById('audio-cache-limit').value = this.settings.audioCacheMaxMb;
+        await this.renderAudioCacheStats();
+    }
+
+    async clearAudioCache() {
+        if (!confirm('Clear the cached target audio? Targets will be generated again (using credits) when needed.')) return;
+        await window.electronAPI.clearAudioCache();
+        await this.renderAudioCacheStats();
+    }
+
+    async loadCaptureSettings() {
+        const capture = { ...AudioRecorder.CAPTURE_DEFAULTS, ...this.settings.capture };
+        document.getElementById('capture-echo-cancellation').checked = capture.echoCancellation;
+        document.getElementById('capture-noise-suppression').checked = capture.noiseSuppression;
+        document.getElementById('capture-auto-gain').checked = capture.autoGainControl;
+        document.getElementById('capture-sample-rate').value = capture.sampleRate ? String(capture.sampleRate) : '';
+        document.getElementById('capture-channel-count').value = String(capture.channelCount || 1);
+        await this.recorder.setCaptureSettings(capture);
+    }
+
+    /**
+     * Persist the capture constraints and reopen the microphone with them
+     */
+    async saveCaptureSettings() {
+        const sampleRate = parseInt(document.getElementById('capture-sample-rate').value, 10);
+        const capture = {
+            echoCancellation: document.getElementById('capture-echo-cancellation').checked,
+            noiseSuppression: document.getElementById('capture-noise-suppression').checked,
+            autoGainControl: document.getElementById('capture-auto-gain').checked,
+            sampleRate: sampleRate > 0 ? sampleRate : null,
+            channelCount: parseInt(document.getElementById('capture-channel-count').value, 10) || 1
+        };
+        this.settings = await window.electronAPI.updateSettings({ capture });
+
+        try {
+            await this.recorder.setCaptureSettings(capture);
+            if (this.recorder.isRecording) {
+                document.getElementById('capture-track-settings').textContent = 'New settings apply from the next recording.';
+                return;
+            }
+        } catch (error) {
+            console.error('Failed to restart capture:', error);
+            document.getElementById('capture-track-settings').textContent = error.message;
+            return;
+        }
+        this.renderTrackSettings();
+    }
+
+    /**
+     * Show what the browser actually granted, which can differ from what was asked for
+     */
+    renderTrackSettings() {
+        const hint = document.getElementById('capture-track-settings');
+        const track = this.recorder.getTrackSettings();
+        if (!track) {
+            hint.textContent = 'The microphone opens with the next recording.';
+            return;
+        }
+
+        const onOff = value => value === undefined ? 'n/a' : (value ? 'on' : 'off');
+        const requested = this.recorder.captureSettings;
+        const parts = [
+            track.sampleRate ? `${track.sampleRate} Hz` : 'unknown rate',
+            track.channelCount === 2 ? 'stereo' : 'mono',
+            `echo cancellation ${onOff(track.echoCancellation)}`,
+            `noise suppression ${onOff(track.noiseSuppression)}`,
+            `auto gain ${onOff(track.autoGainControl)}`
+        ];
+        const ignored = requested.sampleRate && track.sampleRate && requested.sampleRate !== track.sampleRate
+            ? ` The device doesn't offer ${requested.sampleRate} Hz.` : '';
+        hint.textContent = `Active: ${parts.join(' · ')}.${ignored}`;
+    }
+
+    /**
+     * Point practice at ElevenLabs or the local reference folder, per settings
+     */
+    async applyTargetProvider() {
+        const useLocal = this.settings.targetProvider === 'local';
+        document.getElementById('reference-folder-group').hidden = !useLocal;
+        document.getElementById('reference-folder-path').textContent =
+            this.settings.referenceFolder || 'No folder selected';
+
+        await this.practice.setProvider(useLocal ? this.localProvider : this.api);
+        this.applyPracticeMode();
+    }
+
+    async setTargetProvider(provider) {
+        this.settings = await window.electronAPI.updateSettings({ targetProvider: provider });
+        await this.applyTargetProvider();
+    }
+
+    async chooseReferenceFolder() {
+        const folder = await window.electronAPI.chooseReferenceFolder();
+        if (!folder) return;
+
+        try {
+            await this.localProvider.setFolder(folder);
+        } catch (error) {
+            console.error('Failed to index reference folder:', error);
+            alert(`Could not read the reference folder: ${error.message}`);
+        }
+        this.settings = await window.electronAPI.getSettings();
+        await this.applyTargetProvider();
+    }
+
+    /**
+     * Persist an attempt (and optionally both takes) to the history store
+     */
+    async saveAttempt({ accent, prompt, mode, scores, userAudioBlob, targetAudioBlob }) {
+        try {
+            const settings = await window.electronAPI.getSettings();
+            const audio = {};
+            if (settings.keepHistoryAudio) {
+                audio.user = await this.blobToClip(userAudioBlob);
+                audio.target = await this.blobToClip(targetAudioBlob);
+            }
+            await window.electronAPI.addHistoryAttempt({ accent, prompt, mode, scores, timestamp: Date.now() }, audio);
+        } catch (error) {
+            console.error('Failed to save attempt to history:', error);
+        }
+    }
+
+    async blobToClip(blob) {
+        if (!blob) return null;
+        return { data: new Uint8Array(await blob.arrayBuffer()), type: blob.type };
+    }
+
+    async showProgress() {
+        if (this.currentScreen !== 'progress') {
+            this.screenBeforeProgress = this.currentScreen;
+        }
+        this.showScreen('progress');
+        try {
+            await this.progress.load();
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+    }
+
+    async clearHistory() {
+        if (!confirm('Delete all saved attempts and recordings? This cannot be undone.')) return;
+        await window.electronAPI.clearHistory();
+        this.scheduler.reset();
+        await this.progress.load();
     }
 
     async checkApiKey() {
-        const apiKey = await window.electronAPI.getApiKey();
-        if (!apiKey) {
-            this.openModal('settings-modal');
+        const status = await this.api.restore();
+        if (!status.hasKey) {
+            this.setApiKeyState('missing');
+            // Offline practice from reference clips doesn't need a key
+            if (this.settings.targetProvider !== 'local') {
+                this.openModal('settings-modal');
+            }
+            return;
+        }
+        this.setApiKeyState(status.persisted ? 'saved' : 'session');
+    }
+
+    /**
+     * Show the key state in the settings modal
+     * @param {string} state - missing | saved | session | checking | valid | invalid
+     */
+    setApiKeyState(state, message) {
+        const messages = {
+            missing: 'No API key saved',
+            saved: 'Key saved (encrypted on this device)',
+            session: 'Key set for this session only - secure storage is unavailable on this system',
+            checking: 'Checking key...',
+            valid: 'Key verified',
+            invalid: 'ElevenLabs rejected this key'
+        };
+        const el = document.getElementById('api-key-status');
+        el.dataset.state = state;
+        el.textContent = message || messages[state];
+    }
+
+    async validateApiKey() {
+        const candidate = document.getElementById('api-key-input').value.trim();
+        if (!candidate && !this.api.isInitialized) {
+            this.setApiKeyState('missing', 'Enter an API key to validate');
+            return null;
         }
+
+        this.setApiKeyState('checking');
+        const result = await this.api.validateKey(candidate || undefined);
+        this.setApiKeyState(result.valid ? 'valid' : 'invalid', result.message);
+        return result;
+    }
+
+    async clearApiKey() {
+        if (!confirm('Remove the saved ElevenLabs API key from this device?')) return;
+        await this.api.clearKey();
+        document.getElementById('api-key-input').value = '';
+        this.setApiKeyState('missing');
+    }
+
+    /**
+     * The saved key stopped working mid-session: surface it in settings, not as an alert
+     */
+    handleAuthError() {
+        this.setApiKeyState('invalid', 'ElevenLabs rejected the saved key - enter a new one.');
+        this.openModal('settings-modal');
     }
 
     openModal(modalId) {
@@ -110,21 +909,29 @@ class MirrorAccentApp {
     }
 
     async saveApiKey() {
-        const apiKey = document.getElementById('api-key-input').value.trim();
-        if (!apiKey) {
-            alert('Please enter an API key');
+        const input = document.getElementById('api-key-input');
+        const apiKey = input.value.trim();
+        if (!apiKey && !this.api.isInitialized) {
+            this.setApiKeyState('missing', 'Enter an API key to continue');
             return;
         }
 
-        // Save selected microphone
-        const deviceSelect = document.getElementById('audio-device-select');
-        if (deviceSelect && deviceSelect.value) {
-            this.recorder.setDevice(deviceSelect.value);
+        if (apiKey) {
+            // Don't replace a working key with one ElevenLabs refuses; if it can't be
+            // reached at all, save anyway so the app still works once it's back online
+            const result = await this.validateApiKey();
+            if (!result.valid && result.status) return;
+
+            const status = await this.api.initialize(apiKey);
+            input.value = '';
+            if (result.valid) {
+                this.setApiKeyState('valid', status.persisted ? 'Key verified and saved (encrypted)' : undefined);
+            } else {
+                this.setApiKeyState(status.persisted ? 'saved' : 'session');
+            }
         }
 
-        await this.api.initialize(apiKey);
         this.closeModal('settings-modal');
-        alert('Settings saved!');
     }
 
     showScreen(screenId) {
@@ -133,48 +940,89 @@ class MirrorAccentApp {
         this.currentScreen = screenId;
     }
 
-    // Select accent and go directly to practice mode
-    selectAccent(card) {
-        document.querySelectorAll('.accent-card').forEach(c => c.classList.remove('selected'));
-        card.classList.add('selected');
-        this.selectedAccent = card.dataset.accent;
-        document.getElementById('selected-accent-name').textContent = card.querySelector('.accent-name').textContent;
+    // Select accent; first-time ElevenLabs users record their voice before practicing
+    selectAccent(accentId) {
+        document.querySelectorAll('.accent-card').forEach(c => c.classList.toggle('selected', c.dataset.accent === accentId));
+        this.selectedAccent = accentId;
+        document.getElementById('selected-accent-name').textContent = this.accents.getName(accentId);
 
-        // Go directly to practice mode (skip recording/cloning)
-        this.newPrompt();
-        this.showScreen('practice');
-        this.updatePracticeUI();
+        const offerClone = this.settings.targetProvider === 'elevenlabs'
+            && !this.settings.clonedVoice && !this.settings.skipVoiceClone;
+        if (offerClone) {
+            this.showScreen('recording');
+            this.voiceClone.start(this.selectedAccent);
+            return;
+        }
+        this.startPractice();
     }
 
-    newPrompt() {
-        const idx = Math.floor(Math.random() * this.prompts.length);
-        this.currentPrompt = this.prompts[idx];
-        this.userRecordingBlob = null;
-        this.accentTransformedBlob = null;
-        document.getElementById('analyze-btn').disabled = true;
-        document.getElementById('analyze-btn').textContent = 'Transform & Analyze';
-        document.getElementById('user-duration').textContent = '0:00';
-        document.getElementById('target-duration').textContent = '0:00';
-        // Display prompt
-        const promptEl = document.getElementById('practice-prompt');
-        if (promptEl) promptEl.textContent = this.currentPrompt;
+    startPractice() {
+        // Cloning can be started from settings before any accent was picked
+        if (!this.selectedAccent) {
+            this.showScreen('welcome');
+            return;
+        }
+        this.showScreen('practice');
+        this.practice.startSession(this.selectedAccent).catch(error => alert(error.message));
     }
 
     resetPractice() {
+        this.resetTake();
+        this.showScreen('practice');
+    }
+
+    /**
+     * Drop the user's take for the current prompt
+     */
+    resetTake() {
         this.userRecordingBlob = null;
-        this.accentTransformedBlob = null;
+        this.takeQuality = null;
+        this.pitchTrace.clear();
+        this.monitor.clear();
+        this.renderTakeQuality();
         document.getElementById('analyze-btn').disabled = true;
-        this.showScreen('practice');
+        document.getElementById('user-duration').textContent = '0:00';
     }
 
     switchPracticeMode(tab) {
+        if (this.isRecording) return;
+
         document.querySelectorAll('.practice-mode-tabs .tab').forEach(t => t.classList.remove('active'));
         tab.classList.add('active');
+        this.resetTake();
+        document.getElementById('target-duration').textContent = '0:00';
+        this.practice.setMode(tab.dataset.mode);
+    }
+
+    /**
+     * Update labels on the practice card to describe the current mode's flow
+     */
+    applyPracticeMode() {
+        const mode = this.practice.getModeConfig();
+        const transforms = mode.target === 'speech-to-speech';
+        const revoices = this.practice.getProvider().transformsVoice;
+
+        document.getElementById('practice-mode-hint').textContent = mode.hint;
+        document.getElementById('target-audio-heading').textContent = transforms
+            ? (revoices ? '2. Your Voice with Accent' : '2. Reference Recording')
+            : '1. Target Accent';
+        document.getElementById('user-audio-heading').textContent = transforms
+            ? '1. Record Yourself'
+            : (mode.playWhileRecording ? '2. Record While It Plays' : '2. Record Yourself');
+        document.getElementById('practice-area').classList.toggle('target-first', !transforms);
+        document.getElementById('transform-divider').textContent = transforms ? '⬇️ Transform' : '⬆️ Match';
+        document.getElementById('analyze-btn').textContent = this.getAnalyzeLabel();
     }
 
-    updatePracticeUI() {
-        document.getElementById('session-count').textContent = this.sessionStats.attempts;
-        const avg = this.sessionStats.attempts > 0 ? Math.round((this.sessionStats.totalScore / this.sessionStats.attempts) * 100) : '--';
+    getAnalyzeLabel() {
+        const transforms = this.practice.getModeConfig().target === 'speech-to-speech'
+            && this.practice.getProvider().transformsVoice;
+        return transforms ? 'Transform & Analyze' : 'Analyze';
+    }
+
+    updatePracticeUI(stats) {
+        document.getElementById('session-count').textContent = stats.attempts;
+        const avg = stats.attempts > 0 ? Math.round(stats.averageScore * 100) : '--';
         document.getElementById('accuracy-score').textContent = typeof avg === 'number' ? `${avg}%` : avg;
     }
 
@@ -204,6 +1052,16 @@ class MirrorAccentApp {
                         const elapsed = (Date.now() - this.recordingStartTime) / 1000;
                         durationEl.textContent = this.formatDuration(elapsed);
                     }, 100);
+
+                    const mode = this.practice.getModeConfig();
+                    if (mode.playWhileRecording) {
+                        this.startShadowPlayback();
+                    }
+
+                    // Every mode traces the user's pitch; pitch matching also shows the target melody
+                    const targetFeatures = mode.liveTrace ? this.practice.getTargetFeatures() : null;
+                    this.pitchTrace.start(targetFeatures ? targetFeatures.f0 : null);
+                    this.monitor.start();
                 } else {
                     btn.classList.remove('recording');
                     alert('Failed to start recording');
@@ -216,35 +1074,125 @@ class MirrorAccentApp {
         } else {
             // Stop recording
             console.log('Stopping recording...');
+            const recordedSeconds = (Date.now() - this.recordingStartTime) / 1000;
 
             // Stop timer
             if (this.recordingTimer) {
                 clearInterval(this.recordingTimer);
                 this.recordingTimer = null;
             }
+            this.pitchTrace.stop();
+            this.monitor.stop();
+            this.stopShadowPlayback();
 
-            this.userRecordingBlob = await this.recorder.stopRecording();
+            const blob = await this.recorder.stopRecording();
             btn.classList.remove('recording');
             this.isRecording = false;
+            this.userRecordingBlob = null;
+            this.takeQuality = null;
 
-            console.log('Recording stopped, blob:', this.userRecordingBlob);
-
-            if (this.userRecordingBlob && this.userRecordingBlob.size > 0) {
-                document.getElementById('analyze-btn').disabled = false;
+            console.log('Recording stopped, blob:', blob);
 
-                // Show final duration
-                const url = URL.createObjectURL(this.userRecordingBlob);
-                const audio = new Audio(url);
-                audio.addEventListener('loadedmetadata', () => {
-                    durationEl.textContent = this.formatDuration(audio.duration);
-                });
-            } else {
+            if (blob && blob.size > 0) {
+                await this.checkTake(blob);
+                // Without a quality check (undecodable take) show the length as recorded
+                durationEl.textContent = this.formatDuration(this.takeQuality
+                    ? this.takeQuality.duration - this.takeQuality.trimmed.start - this.takeQuality.trimmed.end
+                    : recordedSeconds);
+            } else if (!this.recorder.deviceLost) {
+                // A lost microphone is reported by handleDeviceLost
                 console.error('No recording data captured');
                 alert('No audio was recorded. Please check your microphone selection in Settings.');
             }
         }
     }
 
+    /**
+     * Run the pre-flight check on a finished take. Leading and trailing silence is
+     * trimmed off; a take with errors can't be analyzed until it is redone.
+     */
+    async checkTake(blob) {
+        // The quality list replaces the live warnings from here on
+        this.monitor.showWarning(null);
+        this.renderTakeQuality({ checking: true });
+
+        try {
+            this.takeQuality = await this.recorder.checkQuality(blob, { minDuration: 0.5, trim: true });
+            this.userRecordingBlob = this.takeQuality.blob;
+            // The shadowing offset was measured on the untrimmed take
+            this.shadowOffset = Math.max(0, this.shadowOffset - this.takeQuality.trimmed.start);
+        } catch (error) {
+            // An undecodable take is still worth sending; the analysis will report the problem
+            console.error('Quality check failed:', error);
+            this.takeQuality = null;
+            this.userRecordingBlob = blob;
+        }
+
+        this.renderTakeQuality();
+        document.getElementById('analyze-btn').disabled = !this.canAnalyze();
+    }
+
+    canAnalyze() {
+        return !!this.userRecordingBlob && (!this.takeQuality || this.takeQuality.ok);
+    }
+
+    renderTakeQuality({ checking = false } = {}) {
+        const list = document.getElementById('practice-quality');
+        const quality = this.takeQuality;
+        if (checking || !quality) {
+            list.innerHTML = checking ? '<li class="quality-item">Checking your take...</li>' : '';
+            return;
+        }
+
+        const items = [...quality.issues];
+        const trimmed = quality.trimmed.start + quality.trimmed.end;
+        if (items.length === 0) {
+            items.push({ level: 'ok', message: `Clean take: ${quality.voicedDuration.toFixed(1)}s of voiced speech, ${Math.round(quality.snrDb)} dB above the background` });
+        }
+        if (trimmed > 0) {
+            items.push({ level: 'ok', message: `Trimmed ${trimmed.toFixed(1)}s of silence` });
+        }
+        if (!quality.ok) {
+            items.push({ level: 'error', message: 'Record the prompt again to analyze it.' });
+        }
+        list.innerHTML = items.map(issue =>
+            `<li class="quality-item" data-level="${issue.level}">${issue.message}</li>`
+        ).join('');
+    }
+
+    /**
+     * Play the target alongside the recording. The time between recording start and
+     * playback actually starting is kept so the take can be aligned to the target.
+     */
+    startShadowPlayback() {
+        this.shadowOffset = 0;
+        const targetBlob = this.practice.getTargetAudio();
+        if (!targetBlob) {
+            alert('The target audio is still loading - wait for it before shadowing.');
+            return;
+        }
+
+        const audio = new Audio(URL.createObjectURL(targetBlob));
+        audio.addEventListener('playing', () => {
+            this.shadowOffset = (Date.now() - this.recordingStartTime) / 1000;
+        }, { once: true });
+        // Stop shortly after the target ends so trailing words aren't cut off
+        audio.addEventListener('ended', () => {
+            setTimeout(() => {
+                if (this.isRecording && this.targetPlayback === audio) this.toggleRecording();
+            }, 750);
+        });
+        this.targetPlayback = audio;
+        audio.play();
+    }
+
+    stopShadowPlayback() {
+        if (this.targetPlayback) {
+            this.targetPlayback.pause();
+            this.targetPlayback = null;
+        }
+    }
+
     formatDuration(seconds) {
         const m = Math.floor(seconds / 60);
         const s = Math.floor(seconds % 60);
@@ -252,8 +1200,9 @@ class MirrorAccentApp {
     }
 
     async playTransformedAudio() {
-        if (this.accentTransformedBlob) {
-            const url = URL.createObjectURL(this.accentTransformedBlob);
+        const targetBlob = this.practice.getTargetAudio();
+        if (targetBlob) {
+            const url = URL.createObjectURL(targetBlob);
             const audio = new Audio(url);
             audio.play();
         } else {
@@ -267,49 +1216,53 @@ class MirrorAccentApp {
             return;
         }
 
-        const btn = document.getElementById('analyze-btn');
-        btn.disabled = true;
-        btn.textContent = 'Transforming...';
+        // Bad takes score badly; block the worst and offer a redo before spending a conversion
+        if (this.takeQuality) {
+            const errors = this.takeQuality.issues.filter(issue => issue.level === 'error');
+            const warnings = this.takeQuality.issues.filter(issue => issue.level === 'warning');
+            if (errors.length > 0) {
+                alert(`This take can't be analyzed:\n${errors.map(issue => issue.message).join('\n')}`);
+                return;
+            }
+            if (warnings.length > 0 &&
+                !confirm(`${warnings.map(issue => issue.message).join('\n')}\n\nAnalyze it anyway?`)) {
+                return;
+            }
+        }
 
+        // Results and stats arrive through the 'attempt' and 'stats' events.
+        // Shadowed takes start before the target does, so skip that lead-in.
         try {
-            // Step 1: Speech-to-Speech - transform user's voice to target accent
-            this.accentTransformedBlob = await this.api.speechToSpeech(this.userRecordingBlob, this.selectedAccent);
-
-            btn.textContent = 'Analyzing...';
-
-            // Show transformed audio duration
-            const url = URL.createObjectURL(this.accentTransformedBlob);
-            const audio = new Audio(url);
-            audio.addEventListener('loadedmetadata', () => {
-                document.getElementById('target-duration').textContent = this.formatDuration(audio.duration);
-            });
-
-            // Step 2: Analyze prosody of both
-            this.userFeatures = await this.prosody.analyzeAudio(this.userRecordingBlob);
-            this.targetFeatures = await this.prosody.analyzeAudio(this.accentTransformedBlob);
-
-            // Step 3: Compare
-            const scores = this.prosody.compareProsody(this.targetFeatures, this.userFeatures);
-            const feedback = this.prosody.generateFeedback(scores, this.targetFeatures, this.userFeatures);
-
-            // Update stats
-            this.sessionStats.attempts++;
-            this.sessionStats.totalScore += scores.overall;
-            if (scores.overall > this.sessionStats.bestScore) {
-                this.sessionStats.bestScore = scores.overall;
+            await this.practice.analyzeAttempt(this.userRecordingBlob, { startTime: this.shadowOffset });
+        } catch (error) {
+            // Cancelled analyses were for a prompt or mode the user already left
+            if (!error.isAuthError && error.name !== 'AbortError') {
+                alert('Error: ' + error.message);
             }
+        }
+    }
 
-            // Display results
-            this.displayResults(scores, feedback);
-            this.showScreen('results');
-            btn.textContent = 'Transform & Analyze';
-            btn.disabled = false;
+    /**
+     * The prompt word by word, with the worst-matching words highlighted
+     */
+    displayWords({ words, flagged }) {
+        const container = document.getElementById('word-alignment');
+        const notes = document.getElementById('word-notes');
 
-        } catch (error) {
-            alert('Error: ' + error.message);
-            btn.textContent = 'Transform & Analyze';
-            btn.disabled = false;
+        if (words.length === 0) {
+            container.innerHTML = '<span class="empty-state">Not enough speech to line up the words.</span>';
+            notes.innerHTML = '';
+            return;
         }
+
+        container.innerHTML = words.map((w, i) => {
+            const title = `${Math.round(w.score * 100)}% · target ${w.target.start.toFixed(2)}-${w.target.end.toFixed(2)}s · you ${w.user.start.toFixed(2)}-${w.user.end.toFixed(2)}s`;
+            return `<span class="aligned-word ${flagged.includes(i) ? 'mismatch' : ''}" title="${title}">${escapeHtml(w.word)}</span>`;
+        }).join(' ');
+
+        notes.innerHTML = flagged.length > 0
+            ? flagged.map(i => `<li><strong>${escapeHtml(words[i].word)}</strong>: ${words[i].issue}</li>`).join('')
+            : '<li>Every word is close to the target.</li>';
     }
 
     displayResults(scores, feedback) {
@@ -318,18 +1271,24 @@ class MirrorAccentApp {
         document.getElementById('overall-score').textContent = `${overallPercent}%`;
         document.getElementById('score-path').style.strokeDasharray = `${overallPercent}, 100`;
 
-        // Individual metrics
-        document.getElementById('f0-score').textContent = `${Math.round(scores.f0 * 100)}%`;
-        document.getElementById('formants-score').textContent = `${Math.round(scores.formants * 100)}%`;
-        document.getElementById('intensity-score').textContent = `${Math.round(scores.intensity * 100)}%`;
-        document.getElementById('rate-score').textContent = `${Math.round(scores.speakingRate * 100)}%`;
-        document.getElementById('range-score').textContent = `${Math.round(scores.pitchRange * 100)}%`;
-        document.getElementById('duration-score').textContent = `${Math.round(scores.duration * 100)}%`;
+        // Individual metrics (modes that score a subset leave the rest as "--")
+        const metricIds = {
+            f0: 'f0-score',
+            formants: 'formants-score',
+            intensity: 'intensity-score',
+            speakingRate: 'rate-score',
+            pitchRange: 'range-score',
+            duration: 'duration-score'
+        };
+        Object.entries(metricIds).forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            const scored = typeof scores[key] === 'number';
+            el.textContent = scored ? `${Math.round(scores[key] * 100)}%` : '--';
+            el.closest('.metric-card').classList.toggle('not-scored', !scored);
+        });
 
         // Feedback
         document.getElementById('feedback-list').innerHTML = feedback.map(f => `<li>${f}</li>`).join('');
-
-        this.updatePracticeUI();
     }
 }
 
@@ -0,0 +1,320 @@
+/**
+ * Charts Module - Target-vs-user prosody plots for the results screen
+ * Renders inline SVG so no chart library or network assets are needed
+ */
+
+class ProsodyCharts {
+    constructor(prosodyAnalyzer) {
+        this.prosody = prosodyAnalyzer;
+        this.colors = {
+            target: '#0071E3',
+            user: '#FF9500',
+            divergence: 'rgba(255, 59, 48, 0.25)'
+        };
+        this.width = 300;
+        this.height = 100;
+    }
+
+    /**
+     * Draw every results chart for one attempt
+     */
+    render(targetFeatures, userFeatures) {
+        this.lastAttempt = { targetFeatures, userFeatures };
+        this.renderF0(document.getElementById('f0-chart'), targetFeatures, userFeatures);
+        this.renderFormants(document.getElementById('formants-chart'), targetFeatures, userFeatures);
+        this.renderIntensity(document.getElementById('intensity-chart'), targetFeatures, userFeatures);
+        this.renderRate(document.getElementById('rate-chart'), targetFeatures, userFeatures);
+        this.renderRange(document.getElementById('range-chart'), targetFeatures, userFeatures);
+        this.renderDuration(document.getElementById('duration-chart'), targetFeatures, userFeatures);
+        this.showAligned('f0');
+    }
+
+    /**
+     * Switch the DTW-aligned view of the last attempt between pitch and intensity
+     */
+    showAligned(metric) {
+        if (!this.lastAttempt) return;
+        const { targetFeatures, userFeatures } = this.lastAttempt;
+        this.renderAligned(document.getElementById('aligned-chart'), targetFeatures, userFeatures, metric);
+    }
+
+    renderF0(container, target, user) {
+        const xMax = Math.max(target.duration, user.duration);
+        this.lineChart(container, [
+            { times: target.f0.times, values: target.f0.values, color: this.colors.target },
+            { times: user.f0.times, values: user.f0.values, color: this.colors.user }
+        ], { xMax, yMin: 50, yMax: 400, log: true });
+    }
+
+    renderIntensity(container, target, user) {
+        // Absolute level depends on mic gain, so plot each relative to its own peak
+        const relative = (values) => {
+            const peak = Math.max(...values);
+            return values.map(v => Math.max(-50, v - peak));
+        };
+        const xMax = Math.max(target.duration, user.duration);
+        this.lineChart(container, [
+            { times: target.intensity.times, values: relative(target.intensity.values), color: this.colors.target },
+            { times: user.intensity.times, values: relative(user.intensity.values), color: this.colors.user }
+        ], { xMax, yMin: -50, yMax: 0, keepZeros: true });
+    }
+
+    renderFormants(container, target, user) {
+        this.vowelChart(container, [
+            { points: this.voicedFormants(target), color: this.colors.target },
+            { points: this.voicedFormants(user), color: this.colors.user }
+        ]);
+    }
+
+    /**
+     * F1/F2 pairs from voiced frames (F0 and formants share the same frame grid)
+     */
+    voicedFormants(features) {
+        const points = [];
+        const { f1, f2 } = features.formants;
+        for (let i = 0; i < f1.values.length; i++) {
+            if (features.f0.values[i] > 0 && f1.values[i] > 0 && f2.values[i] > 0) {
+                points.push({ f1: f1.values[i], f2: f2.values[i] });
+            }
+        }
+        return points;
+    }
+
+    renderRate(container, target, user) {
+        this.barChart(container, [
+            { label: 'Target', value: target.speakingRate.syllablesPerSecond, color: this.colors.target },
+            { label: 'You', value: user.speakingRate.syllablesPerSecond, color: this.colors.user }
+        ], v => `${v.toFixed(1)} syl/s`);
+    }
+
+    renderDuration(container, target, user) {
+        this.barChart(container, [
+            { label: 'Target', value: target.duration, color: this.colors.target },
+            { label: 'You', value: user.duration, color: this.colors.user }
+        ], v => `${v.toFixed(1)} s`);
+    }
+
+    renderRange(container, target, user) {
+        const rows = [
+            { label: 'Target', range: target.pitchRange, color: this.colors.target },
+            { label: 'You', range: user.pitchRange, color: this.colors.user }
+        ];
+        const lo = Math.log(50);
+        const hi = Math.log(400);
+        const x = (hz) => ((Math.log(Math.min(400, Math.max(50, hz))) - lo) / (hi - lo)) * this.width;
+        const rowHeight = this.height / rows.length;
+
+        const shapes = rows.map((row, i) => {
+            const y = i * rowHeight + rowHeight / 2;
+            if (!row.range) {
+                return `<text x="4" y="${y + 4}" class="chart-label">${row.label}: no voiced speech</text>`;
+            }
+            const { min, max, mean } = row.range;
+            return `
+                <line x1="${x(min)}" y1="${y}" x2="${x(max)}" y2="${y}" stroke="${row.color}" stroke-width="10" stroke-linecap="round" opacity="0.5" />
+                <line x1="${x(mean)}" y1="${y - 9}" x2="${x(mean)}" y2="${y + 9}" stroke="${row.color}" stroke-width="3" />
+                <text x="4" y="${y - 10}" class="chart-label">${row.label}: ${Math.round(min)}-${Math.round(max)} Hz</text>`;
+        }).join('');
+
+        container.innerHTML = this.svg(shapes);
+    }
+
+    /**
+     * DTW-aligned view: the user's contour warped onto the target's timeline, with
+     * the gap between them shaded so divergent stretches stand out
+     * @param {string} metric - 'f0' or 'intensity'
+     */
+    renderAligned(container, target, user, metric) {
+        if (!container) return;
+
+        const series = (features) => {
+            if (metric === 'f0') {
+                const times = [];
+                const values = [];
+                features.f0.values.forEach((v, i) => {
+                    if (v > 0) {
+                        values.push(v);
+                        times.push(features.f0.times[i]);
+                    }
+                });
+                return { times, values };
+            }
+            return { times: features.intensity.times, values: features.intensity.values };
+        };
+
+        const width = 600;
+        const height = 120;
+        const t = series(target);
+        const u = series(user);
+        if (t.values.length === 0 || u.values.length === 0) {
+            container.innerHTML = this.svg(`<text x="${width / 2}" y="${height / 2}" text-anchor="middle" class="chart-label">Not enough voiced speech to align</text>`, height, width);
+            return;
+        }
+
+        const { path, s1, s2 } = this.prosody.dtwAlign(t.values, u.values);
+
+        // Average the user points matched to each target point
+        const warped = new Array(s1.length).fill(0);
+        const counts = new Array(s1.length).fill(0);
+        path.forEach(([i, j]) => {
+            warped[i] += s2[j];
+            counts[i]++;
+        });
+        for (let i = 0; i < warped.length; i++) {
+            warped[i] /= counts[i] || 1;
+        }
+
+        const times = this.prosody.resample(t.times, s1.length);
+        const xMin = times[0];
+        const xSpan = (times[times.length - 1] - xMin) || 1;
+        const x = (time) => ((time - xMin) / xSpan) * width;
+        const y = (v) => height - 4 - v * (height - 8);
+
+        // One shaded quad per step, only where the contours disagree noticeably
+        const divergence = [];
+        for (let i = 0; i < s1.length - 1; i++) {
+            const gap = (Math.abs(s1[i] - warped[i]) + Math.abs(s1[i + 1] - warped[i + 1])) / 2;
+            if (gap > 0.2) {
+                divergence.push(`<polygon points="${x(times[i])},${y(s1[i])} ${x(times[i + 1])},${y(s1[i + 1])} ${x(times[i + 1])},${y(warped[i + 1])} ${x(times[i])},${y(warped[i])}" fill="${this.colors.divergence}" />`);
+            }
+        }
+
+        const line = (values, color) => `<polyline points="${values.map((v, i) => `${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="2" />`;
+
+        container.innerHTML = this.svg(divergence.join('') + line(s1, this.colors.target) + line(warped, this.colors.user), height, width);
+    }
+
+    /**
+     * Compact loudness envelope of a clip (mirrored around the centre line), used as
+     * its waveform thumbnail
+     */
+    envelope(container, features, color = this.colors.target) {
+        const { times, values } = features.intensity;
+        if (values.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        const width = 300;
+        const height = 40;
+        const peak = Math.max(...values);
+        const x = (t) => (t / (features.duration || 1)) * width;
+        const half = (v) => Math.max(0, (v - peak + 50) / 50) * (height / 2 - 1);
+
+        const top = values.map((v, i) => `${x(times[i]).toFixed(1)},${(height / 2 - half(v)).toFixed(1)}`);
+        const bottom = values.map((v, i) => `${x(times[i]).toFixed(1)},${(height / 2 + half(v)).toFixed(1)}`).reverse();
+        container.innerHTML = this.svg(`<polygon points="${top.concat(bottom).join(' ')}" fill="${color}" opacity="0.35" />`,
+            height, width, 'preserveAspectRatio="none"');
+    }
+
+    /**
+     * Time-series overlay. Zeros are treated as gaps (unvoiced frames) unless keepZeros is set.
+     */
+    lineChart(container, series, { xMax, yMin, yMax, log = false, keepZeros = false }) {
+        const scaleY = log
+            ? (v) => (Math.log(v) - Math.log(yMin)) / (Math.log(yMax) - Math.log(yMin))
+            : (v) => (v - yMin) / (yMax - yMin);
+        const x = (t) => (t / (xMax || 1)) * this.width;
+        const y = (v) => this.height - Math.min(1, Math.max(0, scaleY(v))) * this.height;
+
+        const paths = series.map(({ times, values, color }) => {
+            let d = '';
+            let penDown = false;
+            values.forEach((v, i) => {
+                if (!keepZeros && v <= 0) {
+                    penDown = false;
+                    return;
+                }
+                d += `${penDown ? 'L' : 'M'}${x(times[i]).toFixed(1)},${y(v).toFixed(1)}`;
+                penDown = true;
+            });
+            return `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5" />`;
+        }).join('');
+
+        container.innerHTML = this.svg(paths);
+    }
+
+    /**
+     * F1/F2 vowel chart in the phonetic convention: F2 decreasing left to right,
+     * F1 increasing top to bottom, so front/close vowels sit top-left
+     */
+    vowelChart(container, sets, { f1Range = [200, 1000], f2Range = [500, 3000], maxPoints = 150 } = {}) {
+        const x = (f2) => ((f2Range[1] - f2) / (f2Range[1] - f2Range[0])) * this.width;
+        const y = (f1) => ((f1 - f1Range[0]) / (f1Range[1] - f1Range[0])) * this.height;
+        const inRange = (p) => p.f1 >= f1Range[0] && p.f1 <= f1Range[1] && p.f2 >= f2Range[0] && p.f2 <= f2Range[1];
+
+        const shapes = sets.map(({ points, color, label }) => {
+            const visible = points.filter(inRange);
+            if (visible.length === 0) return '';
+
+            const step = Math.max(1, Math.ceil(visible.length / maxPoints));
+            const dots = visible.filter((_, i) => i % step === 0)
+                .map(p => `<circle cx="${x(p.f2).toFixed(1)}" cy="${y(p.f1).toFixed(1)}" r="1.5" fill="${color}" opacity="0.35" />`)
+                .join('');
+
+            const meanF1 = this.prosody.mean(visible.map(p => p.f1));
+            const meanF2 = this.prosody.mean(visible.map(p => p.f2));
+            const mean = `<circle cx="${x(meanF2)}" cy="${y(meanF1)}" r="5" fill="${color}" stroke="#FFFFFF" stroke-width="1.5" />`;
+            const text = label ? `<text x="${x(meanF2) + 7}" y="${y(meanF1) + 4}" class="chart-label">${label}</text>` : '';
+            return dots + mean + text;
+        }).join('');
+
+        const axes = `<text x="${this.width - 4}" y="${this.height - 4}" text-anchor="end" class="chart-label">F2 ←</text>
+            <text x="4" y="${this.height - 4}" class="chart-label">F1 ↓</text>`;
+
+        container.innerHTML = this.svg(axes + shapes);
+    }
+
+    /**
+     * Score trend over time periods
+     * @param {object[]} points - [{ label, value (0-1), count }]
+     */
+    trendChart(container, points) {
+        const width = 600;
+        const height = 140;
+        const pad = { left: 30, right: 10, top: 10, bottom: 22 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const x = (i) => pad.left + (points.length > 1 ? (i / (points.length - 1)) * plotW : plotW / 2);
+        const y = (v) => pad.top + (1 - v) * plotH;
+
+        const grid = [0, 0.5, 1].map(v => `
+            <line x1="${pad.left}" y1="${y(v)}" x2="${width - pad.right}" y2="${y(v)}" stroke="#E5E5EA" />
+            <text x="${pad.left - 4}" y="${y(v) + 3}" text-anchor="end" class="chart-label">${v * 100}%</text>`).join('');
+
+        // Label at most ~8 periods so the axis stays readable
+        const labelStep = Math.max(1, Math.ceil(points.length / 8));
+        const labels = points.map((p, i) => (i % labelStep === 0 || i === points.length - 1)
+            ? `<text x="${x(i)}" y="${height - 6}" text-anchor="middle" class="chart-label">${p.label}</text>` : '').join('');
+
+        const line = points.length > 1
+            ? `<polyline points="${points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ')}" fill="none" stroke="${this.colors.target}" stroke-width="2" />`
+            : '';
+        const dots = points.map((p, i) =>
+            `<circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="${Math.min(7, 3 + p.count / 3)}" fill="${this.colors.target}"><title>${p.label}: ${Math.round(p.value * 100)}% (${p.count} attempts)</title></circle>`
+        ).join('');
+
+        container.innerHTML = this.svg(grid + labels + line + dots, height, width);
+    }
+
+    barChart(container, bars, format) {
+        const max = Math.max(...bars.map(b => b.value), 1e-6);
+        const rowHeight = this.height / bars.length;
+
+        const shapes = bars.map((bar, i) => {
+            const y = i * rowHeight + rowHeight * 0.2;
+            const w = (bar.value / max) * (this.width - 90);
+            return `
+                <rect x="0" y="${y}" width="${w}" height="${rowHeight * 0.6}" rx="4" fill="${bar.color}" opacity="0.8" />
+                <text x="${w + 6}" y="${y + rowHeight * 0.3 + 4}" class="chart-label">${bar.label} ${format(bar.value)}</text>`;
+        }).join('');
+
+        container.innerHTML = this.svg(shapes);
+    }
+
+    svg(content, height = this.height, width = this.width, attributes = '') {
+        return `<svg class="chart-svg" viewBox="0 0 ${width} ${height}" ${attributes}>${content}</svg>`;
+    }
+}
+
+// Export
+window.ProsodyCharts = ProsodyCharts;
@@ -1,20 +1,22 @@
 /**
  * ElevenLabs API Wrapper
  * Handles voice cloning, speech-to-speech, and text-to-speech operations
+ * Implements TargetProvider so practice can swap it for offline reference clips
  */
 
-class ElevenLabsAPI {
-    constructor() {
+class ElevenLabsAPI extends TargetProvider {
+    /**
+     * @param {AccentCatalog} accentCatalog - Maps accent IDs to voices, models and settings
+     */
+    constructor(accentCatalog) {
+        super();
+        this.accents = accentCatalog;
+        this.transformsVoice = true;
         this.isInitialized = false;
         this.clonedVoiceId = null;
-        this.accentVoices = {
-            'british-rp': 'pNInz6obpgDQGcFmaJgB',      // Adam (British)
-            'american-general': '21m00Tcm4TlvDq8ikWAM', // Rachel
-            'australian': 'AZnzlk1XvdvUeBnXmlld',       // Domi
-            'irish': 'IKne3meq5aSn9XLyUdCD',           // Charlie
-            'indian': 'SOYHLrjzK2X1ezoPC6cr',          // Harry
-            'south-african': 'TX3LPaxmHKxFdv7VOQHJ'    // Liam
-        };
+        this.useClonedVoice = false; // Speak TTS targets in the user's cloned voice
+        this.onAuthError = null; // Called when ElevenLabs rejects the key
+        this.prefetches = new Map(); // Targets being fetched ahead of time, by prefetchKey
     }
 
     async initialize(apiKey) {
@@ -22,10 +24,75 @@ class ElevenLabsAPI {
             throw new Error('API key is required');
         }
 
-        // Store the API key - validation happens on actual API calls
-        await window.electronAPI.setApiKey(apiKey);
+        // Main process encrypts and saves the key; validation is a separate step
+        const status = await window.electronAPI.setApiKey(apiKey);
         this.isInitialized = true;
-        return { success: true };
+        return { success: true, ...status };
+    }
+
+    /**
+     * Pick up a key saved in a previous launch
+     * @returns {object} - { hasKey, persisted, encryptionAvailable }
+     */
+    async restore() {
+        const status = await window.electronAPI.getApiKeyStatus();
+        this.isInitialized = status.hasKey;
+        return status;
+    }
+
+    /**
+     * Check a key with ElevenLabs without using any credits
+     * @param {string} [apiKey] - Candidate key; defaults to the saved one
+     * @returns {object} - { valid, status, message }
+     */
+    async validateKey(apiKey) {
+        return await window.electronAPI.validateApiKey(apiKey);
+    }
+
+    async clearKey() {
+        this.isInitialized = false;
+        return await window.electronAPI.clearApiKey();
+    }
+
+    /**
+     * Send a request through the main process. Auth failures are flagged on the
+     * error and reported through onAuthError so the UI can show the key state.
+     */
+    async request(options) {
+        try {
+            return await window.electronAPI.elevenLabsRequest(options);
+        } catch (error) {
+            if (/API Error: 401\b/.test(error.message)) {
+                const authError = new Error('ElevenLabs rejected the API key. Check it in Settings.');
+                authError.isAuthError = true;
+                if (this.onAuthError) this.onAuthError(authError);
+                throw authError;
+            }
+            throw error;
+        }
+    }
+
+    // Marks voices this app created, so they can be found again after a rename
+    static CLONE_PREFIX = 'MirrorAccent_User_';
+    static CLONE_DESCRIPTION = 'Voice cloned for accent training via MirrorAccent';
+    static CLONE_LABELS = { created_by: 'mirroraccent' };
+
+    static TTS_MODEL = 'eleven_multilingual_v2';
+    static STS_MODEL = 'eleven_english_sts_v2';
+    static VOICE_SETTINGS = { stability: 0.5, similarity_boost: 0.75, style: 0.4, use_speaker_boost: true };
+
+    async isAvailable() {
+        return this.isInitialized;
+    }
+
+    /**
+     * Use a previously cloned voice for "your own voice in the target accent"
+     * @param {string|null} voiceId - Cloned voice ID, or null to forget it
+     * @param {boolean} [enabled] - Whether TTS targets should use it
+     */
+    setClonedVoice(voiceId, enabled = true) {
+        this.clonedVoiceId = voiceId;
+        this.useClonedVoice = Boolean(voiceId) && enabled;
     }
 
     /**
@@ -36,12 +103,70 @@ class ElevenLabsAPI {
             throw new Error('API not initialized');
         }
 
-        return await window.electronAPI.elevenLabsRequest({
+        return await this.request({
             endpoint: '/v1/voices',
             method: 'GET'
         });
     }
 
+    /**
+     * Available models, for the accent editors
+     * @returns {object[]} - [{ model_id, name, can_do_text_to_speech, can_do_voice_conversion }]
+     */
+    async getModels() {
+        if (!this.isInitialized) {
+            throw new Error('API not initialized');
+        }
+
+        return await this.request({
+            endpoint: '/v1/models',
+            method: 'GET'
+        });
+    }
+
+    /**
+     * Voices MirrorAccent cloned on this account
+     * @returns {object[]} - [{ voiceId, name, createdAt }], newest first
+     */
+    async listClonedVoices() {
+        const { voices = [] } = await this.getVoices();
+        return voices.filter(voice => this.isOwnClone(voice)).map(voice => {
+            const stamp = Number(voice.name.slice(ElevenLabsAPI.CLONE_PREFIX.length));
+            return {
+                voiceId: voice.voice_id,
+                name: voice.name,
+                createdAt: voice.created_at_unix ? voice.created_at_unix * 1000 : (stamp || null)
+            };
+        }).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    isOwnClone(voice) {
+        return (voice.labels && voice.labels.created_by === ElevenLabsAPI.CLONE_LABELS.created_by)
+            || voice.description === ElevenLabsAPI.CLONE_DESCRIPTION
+            || voice.name.startsWith(ElevenLabsAPI.CLONE_PREFIX);
+    }
+
+    /**
+     * Rename a cloned voice, keeping the markers that identify it as ours
+     */
+    async renameVoice(voiceId, name) {
+        if (!this.isInitialized) {
+            throw new Error('API not initialized');
+        }
+
+        return await this.request({
+            endpoint: `/v1/voices/${voiceId}/edit`,
+            method: 'POST',
+            multipart: {
+                fields: {
+                    name,
+                    description: ElevenLabsAPI.CLONE_DESCRIPTION,
+                    labels: ElevenLabsAPI.CLONE_LABELS
+                }
+            }
+        });
+    }
+
     /**
      * Clone user's voice from recordings
      * @param {string} name - Name for the cloned voice
@@ -53,21 +178,21 @@ class ElevenLabsAPI {
             throw new Error('API not initialized');
         }
 
-        // Create FormData
-        const formData = new FormData();
-        formData.append('name', name);
-        formData.append('description', 'Voice cloned for accent training via MirrorAccent');
+        const files = await Promise.all(audioFiles.map((file, index) =>
+            this.toUploadFile('files', file, `recording_${index + 1}`)
+        ));
 
-        // Add each audio file
-        audioFiles.forEach((file, index) => {
-            formData.append('files', file, `recording_${index + 1}.wav`);
-        });
-
-        const response = await window.electronAPI.elevenLabsRequest({
+        const response = await this.request({
             endpoint: '/v1/voices/add',
             method: 'POST',
-            body: formData,
-            isFormData: true
+            multipart: {
+                fields: {
+                    name,
+                    description: ElevenLabsAPI.CLONE_DESCRIPTION,
+                    labels: ElevenLabsAPI.CLONE_LABELS
+                },
+                files
+            }
         });
 
         if (response.voice_id) {
@@ -82,91 +207,136 @@ class ElevenLabsAPI {
      * Uses speech-to-speech API to transform input audio
      * @param {Blob} audioBlob - Input audio
      * @param {string} targetAccent - Target accent ID
+     * @param {object} [context] - Unused; the take itself is transformed
      * @returns {Blob} - Transformed audio
      */
-    async speechToSpeech(audioBlob, targetAccent) {
+    async speechToSpeech(audioBlob, targetAccent, context = {}) {
+        const { voiceId, stsModelId, voiceSettings } = this.getAccent(targetAccent);
+        return await this.convertVoice(audioBlob, voiceId, { modelId: stsModelId, voiceSettings, accent: targetAccent });
+    }
+
+    /**
+     * Re-voice audio as another voice, keeping its timing and intonation
+     * @param {Blob} audioBlob - Input audio
+     * @param {string} voiceId - Voice to speak as
+     * @param {object} [options] - { modelId, voiceSettings, accent (caches the result under it) }
+     * @returns {Blob} - Converted audio
+     */
+    async convertVoice(audioBlob, voiceId, options = {}) {
+        const { modelId = ElevenLabsAPI.STS_MODEL, voiceSettings = ElevenLabsAPI.VOICE_SETTINGS, accent } = options;
         if (!this.isInitialized) {
             throw new Error('API not initialized');
         }
 
-        const targetVoiceId = this.accentVoices[targetAccent];
-        if (!targetVoiceId) {
-            throw new Error(`Unknown accent: ${targetAccent}`);
-        }
-
-        // Convert blob to ArrayBuffer for IPC transfer
-        const audioArrayBuffer = await audioBlob.arrayBuffer();
-        const audioArray = Array.from(new Uint8Array(audioArrayBuffer));
-
-        const response = await window.electronAPI.elevenLabsRequest({
-            endpoint: `/v1/speech-to-speech/${targetVoiceId}`,
+        const response = await this.request({
+            endpoint: `/v1/speech-to-speech/${voiceId}`,
             method: 'POST',
-            audioData: audioArray,
-            audioType: audioBlob.type,
-            voiceSettings: {
-                model_id: 'eleven_english_sts_v2',
-                voice_settings: JSON.stringify({
-                    stability: 0.5,
-                    similarity_boost: 0.75,
-                    style: 0.5,
-                    use_speaker_boost: true
-                })
+            multipart: {
+                fields: {
+                    model_id: modelId,
+                    voice_settings: voiceSettings
+                },
+                files: [await this.toUploadFile('audio', audioBlob, 'input')]
             },
-            isFormData: true
+            cache: accent ? { accent } : null
         });
 
-        // Convert base64 audio to blob
         if (response.audio) {
-            const binaryString = atob(response.audio);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            return new Blob([bytes], { type: 'audio/mpeg' });
+            return this.base64ToBlob(response.audio, response.type);
         }
 
         throw new Error('No audio returned from speech-to-speech');
     }
 
     /**
-     * Generate speech from text using cloned voice with target accent characteristics
+     * Generate speech from text in the target accent. With a cloned voice enabled the
+     * accent speaker's take is converted into the user's voice, so the accent is kept.
      * @param {string} text - Text to speak
      * @param {string} targetAccent - Target accent ID
      * @returns {Blob} - Generated audio
      */
     async textToSpeechWithAccent(text, targetAccent) {
-        if (!this.isInitialized) {
-            throw new Error('API not initialized');
+        const accented = await this.textToSpeechAsAccentSpeaker(text, targetAccent);
+        if (!this.useClonedVoice || !this.clonedVoiceId) {
+            return accented;
+        }
+        const { stsModelId, voiceSettings } = this.getAccent(targetAccent);
+        return await this.convertVoice(accented, this.clonedVoiceId, { modelId: stsModelId, voiceSettings, accent: targetAccent });
+    }
+
+    async textToSpeechAsAccentSpeaker(text, targetAccent) {
+        const { voiceId, modelId, voiceSettings } = this.getAccent(targetAccent);
+        return await this.textToSpeechWithVoice(text, voiceId, { modelId, voiceSettings, accent: targetAccent });
+    }
+
+    /**
+     * Fetch a prompt's target in the background so it is in the audio cache (and
+     * in flight, if still loading) by the time the prompt comes up
+     */
+    async prefetch(text, targetAccent) {
+        const key = this.prefetchKey(text, targetAccent);
+        if (this.prefetches.has(key)) return;
+
+        const pending = this.textToSpeechWithAccent(text, targetAccent);
+        this.prefetches.set(key, pending);
+        try {
+            await pending;
+        } finally {
+            this.prefetches.delete(key);
         }
+    }
 
-        const targetVoiceId = this.accentVoices[targetAccent];
-        if (!targetVoiceId) {
-            throw new Error(`Unknown accent: ${targetAccent}`);
+    /**
+     * Practice targets reuse a matching prefetch instead of requesting the audio twice
+     */
+    async generatePracticeAudio(text, targetAccent) {
+        const pending = this.prefetches.get(this.prefetchKey(text, targetAccent));
+        if (pending) {
+            try {
+                return await pending;
+            } catch (error) {
+                // Failed in the background; try again in the foreground below
+            }
+        }
+        return await this.textToSpeechWithAccent(text, targetAccent);
+    }
+
+    /**
+     * Everything the generated target depends on, so a prefetch made before the accent's
+     * voice profile or the cloned voice changed isn't handed out afterwards
+     */
+    prefetchKey(text, targetAccent) {
+        const { voiceId, modelId, stsModelId, voiceSettings } = this.getAccent(targetAccent);
+        const clone = this.useClonedVoice && this.clonedVoiceId ? this.clonedVoiceId : null;
+        return JSON.stringify([targetAccent, voiceId, modelId, stsModelId, voiceSettings, clone, text]);
+    }
+
+    /**
+     * Plain text-to-speech with any voice
+     * @param {string} text - Text to speak
+     * @param {string} voiceId - Voice to speak with
+     * @param {object} [options] - { modelId, voiceSettings, accent (caches the result under it) }
+     * @returns {Blob} - Generated audio
+     */
+    async textToSpeechWithVoice(text, voiceId, options = {}) {
+        const { modelId = ElevenLabsAPI.TTS_MODEL, voiceSettings = ElevenLabsAPI.VOICE_SETTINGS, accent } = options;
+        if (!this.isInitialized) {
+            throw new Error('API not initialized');
         }
 
-        const response = await window.electronAPI.elevenLabsRequest({
-            endpoint: `/v1/text-to-speech/${targetVoiceId}`,
+        const response = await this.request({
+            endpoint: `/v1/text-to-speech/${voiceId}`,
             method: 'POST',
             body: {
                 text: text,
-                model_id: 'eleven_multilingual_v2',
-                voice_settings: {
-                    stability: 0.5,
-                    similarity_boost: 0.75,
-                    style: 0.4,
-                    use_speaker_boost: true
-                }
-            }
+                model_id: modelId,
+                voice_settings: voiceSettings
+            },
+            cache: accent ? { accent } : null
         });
 
-        // Convert base64 audio to blob
         if (response.audio) {
-            const binaryString = atob(response.audio);
-            const bytes = new Uint8Array(binaryString.length);
-            for (let i = 0; i < binaryString.length; i++) {
-                bytes[i] = binaryString.charCodeAt(i);
-            }
-            return new Blob([bytes], { type: 'audio/mpeg' });
+            return this.base64ToBlob(response.audio, response.type);
         }
 
         throw new Error('No audio returned from text-to-speech');
@@ -177,52 +347,34 @@ class ElevenLabsAPI {
      * Records user → Creates clone → Applies accent characteristics
      * @param {Blob[]} recordings - User's voice recordings
      * @param {string} targetAccent - Target accent
-     * @returns {string} - Generated audio URL for the accent voice
+     * @param {function} [onProgress] - Called with 'clone' then 'accent' as each step starts
+     * @returns {object} - { voiceId, voiceName, targetAccent, sampleAudio }
      */
-    async createAccentVoice(recordings, targetAccent) {
+    async createAccentVoice(recordings, targetAccent, onProgress = () => {}) {
         // Step 1: Clone the user's voice
-        const userName = `MirrorAccent_User_${Date.now()}`;
+        onProgress('clone');
+        const userName = `${ElevenLabsAPI.CLONE_PREFIX}${Date.now()}`;
         const cloneResult = await this.cloneVoice(userName, recordings);
 
         if (!cloneResult.voice_id) {
             throw new Error('Failed to clone voice');
         }
 
-        // Step 2: Generate sample audio with cloned voice
-        // This gives us the user's voice characteristics
+        // Step 2: Accent speaker's sample converted into the new voice - the same path
+        // practice targets take, so a failure shows up here rather than mid-session
+        onProgress('accent');
         const sampleText = "Hello, I'm practicing my accent with MirrorAccent. Listen to how I sound now.";
-
-        const response = await window.electronAPI.elevenLabsRequest({
-            endpoint: `/v1/text-to-speech/${cloneResult.voice_id}`,
-            method: 'POST',
-            body: {
-                text: sampleText,
-                model_id: 'eleven_multilingual_v2',
-                voice_settings: {
-                    stability: 0.7,
-                    similarity_boost: 0.9
-                }
-            }
-        });
+        const accented = await this.textToSpeechAsAccentSpeaker(sampleText, targetAccent);
+        const sampleAudio = await this.convertVoice(accented, cloneResult.voice_id);
 
         return {
             voiceId: cloneResult.voice_id,
             voiceName: userName,
             targetAccent: targetAccent,
-            sampleAudio: response.audio ? this.base64ToBlob(response.audio) : null
+            sampleAudio
         };
     }
 
-    /**
-     * Generate practice prompt audio with target accent
-     * @param {string} text - Practice prompt text
-     * @param {string} targetAccent - Target accent
-     * @returns {Blob} - Audio blob
-     */
-    async generatePracticeAudio(text, targetAccent) {
-        return await this.textToSpeechWithAccent(text, targetAccent);
-    }
-
     /**
      * Delete a cloned voice (cleanup)
      * @param {string} voiceId - Voice ID to delete
@@ -232,12 +384,27 @@ class ElevenLabsAPI {
             throw new Error('API not initialized');
         }
 
-        await window.electronAPI.elevenLabsRequest({
+        await this.request({
             endpoint: `/v1/voices/${voiceId}`,
             method: 'DELETE'
         });
     }
 
+    /**
+     * Describe a blob as a multipart file that can cross IPC
+     * @param {string} field - Form field name
+     * @param {Blob} blob - File contents; its type becomes the part's Content-Type
+     * @param {string} [filename] - Main adds an extension matching the type if missing
+     */
+    async toUploadFile(field, blob, filename) {
+        return {
+            field,
+            filename,
+            type: blob.type || 'application/octet-stream',
+            data: new Uint8Array(await blob.arrayBuffer())
+        };
+    }
+
     base64ToBlob(base64, type = 'audio/mpeg') {
         const binaryString = atob(base64);
         const bytes = new Uint8Array(binaryString.length);
@@ -247,20 +414,23 @@ class ElevenLabsAPI {
         return new Blob([bytes], { type });
     }
 
+    /**
+     * Registry entry for an accent ID
+     */
+    getAccent(accent) {
+        const entry = this.accents.get(accent);
+        if (!entry) {
+            throw new Error(`Unknown accent: ${accent}`);
+        }
+        return entry;
+    }
+
     getAccentVoiceId(accent) {
-        return this.accentVoices[accent];
+        return this.getAccent(accent).voiceId;
     }
 
     getAccentName(accent) {
-        const names = {
-            'british-rp': 'British (RP)',
-            'american-general': 'American (General)',
-            'australian': 'Australian',
-            'irish': 'Irish',
-            'indian': 'Indian English',
-            'south-african': 'South African'
-        };
-        return names[accent] || accent;
+        return this.accents.getName(accent);
     }
 }
 
@@ -0,0 +1,13 @@
+/**
+ * HTML escaping for text interpolated into innerHTML templates, safe in element
+ * content and in quoted attribute values alike
+ */
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+// Export
+window.escapeHtml = escapeHtml;
@@ -0,0 +1,72 @@
+/**
+ * Local Reference Provider - Serves pre-recorded clips from a folder instead of ElevenLabs
+ *
+ * Folder layout (one sub-folder per accent ID):
+ *   <folder>/british-rp/the-weather-today-is-absolutely-beautiful-isnt-it.mp3
+ *   <folder>/british-rp/index.json   (optional: [{ "text": "...", "file": "clip01.wav" }])
+ * Clips are matched to prompts by text, ignoring case and punctuation.
+ */
+
+class LocalReferenceProvider extends TargetProvider {
+    constructor() {
+        super();
+        this.folder = null;
+        this.index = null;
+    }
+
+    async setFolder(folder) {
+        this.folder = folder;
+        this.index = null;
+        if (folder) await this.loadIndex();
+    }
+
+    async loadIndex() {
+        // Main process reads the folder saved in settings, not a renderer-supplied path
+        this.index = await window.electronAPI.getReferenceIndex();
+        return this.index;
+    }
+
+    async isAvailable() {
+        return Boolean(this.folder);
+    }
+
+    async listPrompts(targetAccent) {
+        if (!this.folder) return [];
+        if (!this.index) await this.loadIndex();
+        return (this.index[targetAccent] || []).map(clip => clip.text);
+    }
+
+    async textToSpeechWithAccent(text, targetAccent) {
+        return await this.getClip(text, targetAccent);
+    }
+
+    /**
+     * A reference clip can't re-voice the user, so the target for a take is
+     * simply the clip for the prompt they read
+     */
+    async speechToSpeech(audioBlob, targetAccent, context = {}) {
+        if (!context.text) {
+            throw new Error('Reference clips need the prompt text to find a target');
+        }
+        return await this.getClip(context.text, targetAccent);
+    }
+
+    async getClip(text, targetAccent) {
+        if (!this.folder) {
+            throw new Error('No reference folder selected. Choose one in Settings.');
+        }
+        if (!this.index) await this.loadIndex();
+
+        const key = promptKey(text);
+        const clip = (this.index[targetAccent] || []).find(c => c.key === key);
+        if (!clip) {
+            throw new Error(`No reference clip for "${text}" (${targetAccent}) in ${this.folder}`);
+        }
+
+        const { data, type } = await window.electronAPI.readReferenceClip(clip.file);
+        return new Blob([data], { type });
+    }
+}
+
+// Export
+window.LocalReferenceProvider = LocalReferenceProvider;
@@ -0,0 +1,140 @@
+/**
+ * Live Pitch Trace - Draws the user's F0 in real time while recording
+ * Reuses ProsodyAnalyzer's YIN implementation on analyser frames
+ */
+
+class LivePitchTrace {
+    constructor(container, recorder, prosodyAnalyzer) {
+        this.container = container;
+        this.recorder = recorder;
+        this.prosody = prosodyAnalyzer;
+        this.canvas = null;
+        this.points = [];
+        this.target = null;
+        this.startTime = 0;
+        this.windowSeconds = 5;
+        this.minF0 = 50;
+        this.maxF0 = 400;
+        this.frameId = null;
+        this.lastDetection = 0;
+    }
+
+    /**
+     * Start tracing
+     * @param {object} [targetF0] - Target contour ({ values, times }) drawn behind the live trace
+     */
+    start(targetF0 = null) {
+        this.stop();
+        this.target = targetF0;
+        this.points = [];
+        this.startTime = performance.now();
+
+        // Fit the time axis to the target so the whole phrase stays visible
+        this.windowSeconds = 5;
+        if (targetF0 && targetF0.times.length > 0) {
+            this.windowSeconds = Math.max(5, targetF0.times[targetF0.times.length - 1] + 1);
+        }
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'pitch-trace-canvas';
+            this.container.appendChild(this.canvas);
+        }
+        this.canvas.width = this.container.clientWidth * window.devicePixelRatio;
+        this.canvas.height = this.container.clientHeight * window.devicePixelRatio;
+
+        const tick = (now) => {
+            // YIN is expensive, so detect at ~20 fps and redraw every frame
+            if (now - this.lastDetection >= 50) {
+                this.detect(now);
+                this.lastDetection = now;
+            }
+            this.draw();
+            this.frameId = requestAnimationFrame(tick);
+        };
+        this.frameId = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    clear() {
+        this.stop();
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        this.points = [];
+    }
+
+    detect(now) {
+        const frame = this.recorder.getAnalyserFloatData();
+        const sampleRate = this.recorder.getSampleRate();
+        if (!frame || !sampleRate) return;
+
+        const minLag = Math.floor(sampleRate / this.maxF0);
+        const maxLag = Math.min(Math.floor(sampleRate / this.minF0), frame.length - 1);
+        const f0 = this.prosody.yinPitchDetection(frame, sampleRate, minLag, maxLag);
+
+        this.points.push({
+            time: (now - this.startTime) / 1000,
+            f0: f0 >= this.minF0 && f0 <= this.maxF0 ? f0 : 0
+        });
+    }
+
+    /**
+     * Map a frequency onto the canvas using a log scale, which is how pitch is perceived
+     */
+    freqToY(f0, height) {
+        const lo = Math.log(this.minF0);
+        const hi = Math.log(this.maxF0);
+        return height - ((Math.log(f0) - lo) / (hi - lo)) * height;
+    }
+
+    draw() {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const elapsed = (performance.now() - this.startTime) / 1000;
+        const offset = Math.max(0, elapsed - this.windowSeconds);
+        const timeToX = (t) => ((t - offset) / this.windowSeconds) * width;
+
+        ctx.clearRect(0, 0, width, height);
+
+        if (this.target) {
+            this.drawContour(ctx, this.target.times.map((time, i) => ({ time, f0: this.target.values[i] })),
+                timeToX, height, 'rgba(0, 113, 227, 0.45)');
+        }
+        this.drawContour(ctx, this.points, timeToX, height, '#FF9500');
+    }
+
+    drawContour(ctx, points, timeToX, height, color) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2 * window.devicePixelRatio;
+        ctx.beginPath();
+
+        // Break the line on unvoiced frames instead of drawing to zero
+        let penDown = false;
+        for (const point of points) {
+            if (point.f0 <= 0) {
+                penDown = false;
+                continue;
+            }
+            const x = timeToX(point.time);
+            const y = this.freqToY(point.f0, height);
+            if (penDown) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                penDown = true;
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+// Export
+window.LivePitchTrace = LivePitchTrace;
@@ -1,70 +1,347 @@
 /**
  * Practice Module - Handles Duolingo-style practice modes
+ * Single session engine: owns prompt selection, target generation, scoring and
+ * stats, and emits events for the UI to render
+ *
+ * Events:
+ * - 'mode'           { mode, config }
+ * - 'prompt'         { prompt }
+ * - 'target-loading' { prompt }
+ * - 'target'         { prompt, audioBlob, features }
+ * - 'target-error'   { prompt, error }
+ * - 'status'         { stage: 'transforming' | 'analyzing' | 'idle', progress (0-1, while analyzing) }
+ * - 'attempt'        { accent, prompt, mode, scores, feedback, words, targetFeatures, userFeatures,
+ *                      targetAudioBlob, userAudioBlob, sessionStats }
+ *                      (words: per-word alignment and mismatches, see WordAligner.compareWords)
+ * - 'stats'          sessionStats (with averageScore)
+ * - 'queue'          { due, fresh } - prompts due for review and never practiced, for this accent
  */
 
 class PracticeManager {
-    constructor(elevenLabsAPI, prosodyAnalyzer) {
-        this.api = elevenLabsAPI;
+    /**
+     * @param {TargetProvider} targetProvider - Source of target audio (ElevenLabs, local clips, ...)
+     * @param {ProsodyAnalyzer} prosodyAnalyzer
+     * @param {PromptScheduler} scheduler - Spaced repetition over the prompts
+     * @param {WordAligner} wordAligner - Maps prompt words onto both takes
+     */
+    constructor(targetProvider, prosodyAnalyzer, scheduler, wordAligner) {
+        this.provider = targetProvider;
         this.prosody = prosodyAnalyzer;
+        this.scheduler = scheduler;
+        this.aligner = wordAligner;
         this.currentMode = 'listen-repeat';
         this.targetAccent = null;
         this.sessionStats = { attempts: 0, totalScore: 0, bestScore: 0 };
         this.currentPrompt = null;
+        this.upcomingPrompt = null;
+        this.prompts = [];
+        this.playablePrompts = [];
         this.targetAudioBlob = null;
         this.targetFeatures = null;
+        this.targetRequestId = 0;
+        this.analysis = null; // AbortController for the analysis in progress
+        this.listeners = {};
     }
 
-    static PROMPTS = [
-        "The weather today is absolutely beautiful, isn't it?",
-        "Could you please pass me that book on the table?",
-        "I've been thinking about going to the cinema this weekend.",
-        "What time does the train arrive at the station?",
-        "She asked if we could meet for coffee tomorrow morning.",
-        "The restaurant around the corner serves excellent food.",
-        "I haven't seen such a magnificent sunset in years.",
-        "Would you mind helping me carry these bags upstairs?",
-        "They're planning to renovate the old building next month.",
-        "I'd rather stay home and read a good book tonight."
-    ];
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`PracticeManager '${event}' handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Practice modes and how each one changes the flow:
+     * - target: 'speech-to-speech' transforms the user's own take, 'text-to-speech'
+     *   renders the prompt up front so it can be played before/while recording
+     * - playWhileRecording: play the target and record the user at the same time
+     * - metrics: score keys that make up the overall score (null = all)
+     */
+    static MODES = {
+        'listen-repeat': {
+            target: 'speech-to-speech',
+            playWhileRecording: false,
+            liveTrace: false,
+            metrics: null,
+            hint: 'Record the phrase, then hear it transformed into the target accent.'
+        },
+        'shadowing': {
+            target: 'text-to-speech',
+            playWhileRecording: true,
+            liveTrace: false,
+            metrics: null,
+            hint: 'The target plays as you record - speak along with it, in sync.'
+        },
+        'pitch-match': {
+            target: 'text-to-speech',
+            playWhileRecording: false,
+            liveTrace: true,
+            metrics: ['f0'],
+            hint: 'Follow the target melody. Only your pitch contour is scored.'
+        }
+    };
 
     async startSession(targetAccent) {
         this.targetAccent = targetAccent;
+        this.upcomingPrompt = null;
         this.sessionStats = { attempts: 0, totalScore: 0, bestScore: 0 };
+        this.emit('stats', this.getSessionStats());
         await this.selectNewPrompt();
     }
 
+    /**
+     * Swap where targets come from; the current target is dropped
+     */
+    async setProvider(targetProvider) {
+        this.provider = targetProvider;
+        this.upcomingPrompt = null;
+        if (this.targetAccent) {
+            await this.selectNewPrompt();
+        }
+    }
+
+    getProvider() { return this.provider; }
+
+    /**
+     * Sentences to draw prompts from (the active deck, or the whole library)
+     * @param {string[]} prompts
+     */
+    setPrompts(prompts) {
+        this.prompts = prompts;
+    }
+
     async selectNewPrompt() {
-        const randomIndex = Math.floor(Math.random() * PracticeManager.PROMPTS.length);
-        this.currentPrompt = PracticeManager.PROMPTS[randomIndex];
+        // Providers with a fixed set of clips limit the prompts that can be practiced
+        let prompts = this.prompts;
+        try {
+            const available = await this.provider.listPrompts(this.targetAccent);
+            if (available && available.length > 0) {
+                const keys = new Set(available.map(promptKey));
+                const playable = prompts.filter(p => keys.has(promptKey(p)));
+                prompts = playable.length > 0 ? playable : available;
+            }
+        } catch (error) {
+            console.error('Failed to list provider prompts:', error);
+        }
+
+        if (prompts.length === 0) {
+            throw new Error('There are no prompts to practice. Import some in the Prompt Library.');
+        }
 
-        this.targetAudioBlob = await this.api.generatePracticeAudio(this.currentPrompt, this.targetAccent);
-        this.targetFeatures = await this.prosody.analyzeAudio(this.targetAudioBlob);
+        // The prompt picked for prefetching comes next, as long as it's still in the pool
+        const upcoming = this.upcomingPrompt;
+        this.upcomingPrompt = null;
+        this.currentPrompt = upcoming && upcoming !== this.currentPrompt && prompts.includes(upcoming)
+            ? upcoming
+            : this.scheduler.pickNext(this.targetAccent, prompts, this.currentPrompt);
+        this.playablePrompts = prompts;
+        this.emit('prompt', { prompt: this.currentPrompt });
+        this.emit('queue', this.scheduler.getQueue(this.targetAccent, prompts));
 
+        await this.resetTarget();
         return { prompt: this.currentPrompt, audioBlob: this.targetAudioBlob };
     }
 
-    async analyzeAttempt(userAudioBlob) {
-        const userFeatures = await this.prosody.analyzeAudio(userAudioBlob);
-        const scores = this.prosody.compareProsody(this.targetFeatures, userFeatures);
-        const feedback = this.prosody.generateFeedback(scores, this.targetFeatures, userFeatures);
+    /**
+     * Drop the current target. Modes that need it before recording fetch it again.
+     */
+    async resetTarget() {
+        this.cancelAnalysis();
+        this.targetRequestId++;
+        this.targetAudioBlob = null;
+        this.targetFeatures = null;
+
+        if (this.currentPrompt && this.getModeConfig().target === 'text-to-speech') {
+            await this.loadTarget();
+        }
+    }
+
+    /**
+     * Render the current prompt in the target accent (shadowing / pitch matching)
+     */
+    async loadTarget() {
+        const request = ++this.targetRequestId;
+        const prompt = this.currentPrompt;
+        this.emit('target-loading', { prompt });
+
+        try {
+            const audioBlob = await this.provider.generatePracticeAudio(prompt, this.targetAccent);
+            if (request !== this.targetRequestId) return;
+            const features = await this.prosody.analyzeAudio(audioBlob, { signal: this.startAnalysis().signal });
+
+            // Ignore results for a prompt or mode the user has already moved past
+            if (request !== this.targetRequestId) return;
+
+            this.targetAudioBlob = audioBlob;
+            this.targetFeatures = features;
+            this.emit('target', { prompt, audioBlob, features });
+            this.prefetchNext();
+        } catch (error) {
+            if (request !== this.targetRequestId || error.name === 'AbortError') return;
+            console.error('Failed to load target audio:', error);
+            this.emit('target-error', { prompt, error });
+        }
+    }
+
+    /**
+     * Stop whatever analysis is running (the prompt or mode changed under it)
+     */
+    cancelAnalysis() {
+        if (this.analysis) {
+            this.analysis.abort();
+            this.analysis = null;
+        }
+    }
+
+    startAnalysis() {
+        this.cancelAnalysis();
+        this.analysis = new AbortController();
+        return this.analysis;
+    }
+
+    /**
+     * Pick the prompt after this one now and let the provider fetch its target in
+     * the background, so moving on doesn't wait on the network
+     */
+    prefetchNext() {
+        const next = this.scheduler.pickNext(this.targetAccent, this.playablePrompts, this.currentPrompt);
+        this.upcomingPrompt = next;
+        if (!next || next === this.currentPrompt) return;
+
+        this.provider.prefetch(next, this.targetAccent)
+            .catch(error => console.warn('Failed to prefetch the next target:', error.message));
+    }
+
+    /**
+     * Score a recorded attempt against the target
+     * @param {Blob} userAudioBlob - The user's take
+     * @param {object} [options]
+     * @param {number} [options.startTime] - Lead-in to skip so a shadowed take lines up with the target
+     * @returns {object|null} - The attempt, or null if the prompt, mode or accent changed while it ran
+     */
+    async analyzeAttempt(userAudioBlob, options = {}) {
+        const mode = this.getModeConfig();
 
-        this.sessionStats.attempts++;
-        this.sessionStats.totalScore += scores.overall;
-        if (scores.overall > this.sessionStats.bestScore) {
-            this.sessionStats.bestScore = scores.overall;
+        if (mode.target === 'text-to-speech' && !this.targetFeatures) {
+            throw new Error('The target audio is still loading - try again in a moment.');
         }
 
-        return { scores, feedback, targetFeatures: this.targetFeatures, userFeatures, sessionStats: { ...this.sessionStats } };
+        // A new prompt or mode bumps the request ID; a take for one the user has moved past
+        // must not be scored, scheduled or saved under the new one
+        const prompt = this.currentPrompt;
+        const accent = this.targetAccent;
+        const request = mode.target === 'speech-to-speech' ? ++this.targetRequestId : this.targetRequestId;
+        const isStale = () => request !== this.targetRequestId || prompt !== this.currentPrompt || accent !== this.targetAccent;
+
+        try {
+            if (mode.target === 'speech-to-speech') {
+                // Transform the user's own take into the target accent
+                this.emit('status', { stage: 'transforming' });
+                const audioBlob = await this.provider.speechToSpeech(userAudioBlob, accent, { text: prompt });
+                if (isStale()) return null;
+                this.emit('status', { stage: 'analyzing', progress: 0 });
+                const features = await this.prosody.analyzeAudio(audioBlob, {
+                    signal: this.startAnalysis().signal,
+                    onProgress: fraction => this.emit('status', { stage: 'analyzing', progress: fraction / 2 })
+                });
+                if (isStale()) return null;
+                this.targetAudioBlob = audioBlob;
+                this.targetFeatures = features;
+                this.emit('target', { prompt, audioBlob, features });
+            } else {
+                this.emit('status', { stage: 'analyzing', progress: 0 });
+            }
+
+            // With a transformed target, its analysis was the first half of the work
+            const offset = mode.target === 'speech-to-speech' ? 0.5 : 0;
+            const userFeatures = await this.prosody.analyzeAudio(userAudioBlob, {
+                startTime: mode.playWhileRecording ? options.startTime : 0,
+                signal: this.startAnalysis().signal,
+                onProgress: fraction => this.emit('status', { stage: 'analyzing', progress: offset + fraction * (1 - offset) })
+            });
+            if (isStale()) return null;
+            this.analysis = null;
+            const scores = this.scoreAttempt(this.targetFeatures, userFeatures);
+            const feedback = this.prosody.generateFeedback(scores, this.targetFeatures, userFeatures);
+            const words = this.aligner.compareWords(prompt, this.targetFeatures, userFeatures);
+
+            this.scheduler.review(accent, prompt, scores.overall);
+
+            this.sessionStats.attempts++;
+            this.sessionStats.totalScore += scores.overall;
+            if (scores.overall > this.sessionStats.bestScore) {
+                this.sessionStats.bestScore = scores.overall;
+            }
+
+            const result = {
+                accent,
+                prompt,
+                mode: this.currentMode,
+                scores,
+                feedback,
+                words,
+                targetFeatures: this.targetFeatures,
+                userFeatures,
+                targetAudioBlob: this.targetAudioBlob,
+                userAudioBlob,
+                sessionStats: this.getSessionStats()
+            };
+            this.emit('attempt', result);
+            this.emit('stats', result.sessionStats);
+            this.emit('queue', this.scheduler.getQueue(accent, this.playablePrompts));
+            return result;
+        } finally {
+            this.emit('status', { stage: 'idle' });
+        }
+    }
+
+    /**
+     * Compare an attempt against the target, restricted to the metrics the
+     * current mode scores
+     */
+    scoreAttempt(targetFeatures, userFeatures) {
+        const scores = this.prosody.compareProsody(targetFeatures, userFeatures);
+        const metrics = this.getModeConfig().metrics;
+        if (!metrics) return scores;
+
+        const modeScores = {};
+        metrics.forEach(key => { modeScores[key] = scores[key]; });
+        modeScores.overall = metrics.reduce((sum, key) => sum + scores[key], 0) / metrics.length;
+        return modeScores;
     }
 
     getCurrentPrompt() { return this.currentPrompt; }
+    getTargetAudio() { return this.targetAudioBlob; }
+    getTargetFeatures() { return this.targetFeatures; }
 
     getSessionStats() {
         return { ...this.sessionStats, averageScore: this.sessionStats.attempts > 0 ? this.sessionStats.totalScore / this.sessionStats.attempts : 0 };
     }
 
-    setMode(mode) { this.currentMode = mode; }
+    async setMode(mode) {
+        if (!PracticeManager.MODES[mode]) {
+            throw new Error(`Unknown practice mode: ${mode}`);
+        }
+        this.currentMode = mode;
+        this.emit('mode', { mode, config: this.getModeConfig() });
+
+        // Targets don't carry over between modes (S2S output is tied to a take)
+        await this.resetTarget();
+    }
     getMode() { return this.currentMode; }
+    getModeConfig() { return PracticeManager.MODES[this.currentMode]; }
 }
 
 window.PracticeManager = PracticeManager;
@@ -0,0 +1,189 @@
+/**
+ * Progress Module - Per-accent trends from the persisted practice history
+ */
+
+class ProgressView {
+    constructor(charts, getAccentName) {
+        this.charts = charts;
+        this.getAccentName = getAccentName;
+        this.attempts = [];
+        this.granularity = 'day';
+        this.accentFilter = '';
+    }
+
+    static METRICS = {
+        f0: 'Pitch',
+        formants: 'Vowels',
+        intensity: 'Intensity',
+        speakingRate: 'Rate',
+        pitchRange: 'Range',
+        duration: 'Duration'
+    };
+
+    async load() {
+        this.attempts = await window.electronAPI.getHistory();
+        this.attempts.sort((a, b) => a.timestamp - b.timestamp);
+        this.renderAccentFilter();
+        this.render();
+    }
+
+    setGranularity(granularity) {
+        this.granularity = granularity;
+        this.render();
+    }
+
+    setAccentFilter(accent) {
+        this.accentFilter = accent;
+        this.render();
+    }
+
+    renderAccentFilter() {
+        const select = document.getElementById('progress-accent-select');
+        const accents = [...new Set(this.attempts.map(a => a.accent))];
+        if (!accents.includes(this.accentFilter)) this.accentFilter = '';
+
+        select.innerHTML = '<option value="">All accents</option>' + accents.map(accent =>
+            `<option value="${escapeHtml(accent)}" ${accent === this.accentFilter ? 'selected' : ''}>${escapeHtml(this.getAccentName(accent))}</option>`
+        ).join('');
+    }
+
+    render() {
+        const attempts = this.attempts.filter(a => !this.accentFilter || a.accent === this.accentFilter);
+        this.renderSummary(attempts);
+
+        const trends = document.getElementById('progress-trends');
+        if (attempts.length === 0) {
+            trends.innerHTML = '<p class="empty-state">No attempts yet. Finish a practice round to start tracking progress.</p>';
+            document.getElementById('progress-recent').innerHTML = '';
+            return;
+        }
+
+        // One trend card per accent
+        const byAccent = {};
+        attempts.forEach(a => (byAccent[a.accent] = byAccent[a.accent] || []).push(a));
+
+        trends.innerHTML = Object.keys(byAccent).map(accent => `
+            <div class="trend-card">
+                <div class="metric-header">
+                    <span class="metric-name">${escapeHtml(this.getAccentName(accent))}</span>
+                    <span class="metric-value">${byAccent[accent].length} attempts</span>
+                </div>
+                <div class="trend-chart" data-accent="${escapeHtml(accent)}"></div>
+                <div class="trend-metrics">${this.renderMetricDeltas(byAccent[accent])}</div>
+            </div>`).join('');
+
+        trends.querySelectorAll('.trend-chart').forEach(container => {
+            this.charts.trendChart(container, this.bucket(byAccent[container.dataset.accent]));
+        });
+
+        this.renderRecent(attempts);
+    }
+
+    renderSummary(attempts) {
+        const overall = attempts.map(a => a.scores.overall);
+        const days = new Set(attempts.map(a => this.periodStart(a.timestamp, 'day')));
+
+        document.getElementById('progress-total').textContent = attempts.length;
+        document.getElementById('progress-average').textContent = overall.length
+            ? `${Math.round(overall.reduce((a, b) => a + b, 0) / overall.length * 100)}%` : '--';
+        document.getElementById('progress-best').textContent = overall.length
+            ? `${Math.round(Math.max(...overall) * 100)}%` : '--';
+        document.getElementById('progress-days').textContent = days.size;
+    }
+
+    /**
+     * Average of each metric in the latest period, with the change from the period before
+     */
+    renderMetricDeltas(attempts) {
+        const buckets = this.bucket(attempts);
+        const latest = buckets[buckets.length - 1];
+        const previous = buckets[buckets.length - 2];
+
+        return Object.entries(ProgressView.METRICS).map(([key, label]) => {
+            const value = latest.metrics[key];
+            if (typeof value !== 'number') return '';
+
+            let delta = '';
+            if (previous && typeof previous.metrics[key] === 'number') {
+                const change = Math.round((value - previous.metrics[key]) * 100);
+                const cls = change > 0 ? 'up' : (change < 0 ? 'down' : '');
+                delta = `<span class="delta ${cls}">${change > 0 ? '+' : ''}${change}</span>`;
+            }
+            return `<span class="trend-metric">${label} ${Math.round(value * 100)}% ${delta}</span>`;
+        }).join('');
+    }
+
+    renderRecent(attempts) {
+        const recent = attempts.slice(-20).reverse();
+        const list = document.getElementById('progress-recent');
+
+        list.innerHTML = recent.map(a => `
+            <li class="history-item">
+                <span class="history-date">${new Date(a.timestamp).toLocaleString()}</span>
+                <span class="history-prompt">${escapeHtml(a.prompt)}</span>
+                <span class="history-accent">${escapeHtml(this.getAccentName(a.accent))}</span>
+                <span class="history-score">${Math.round(a.scores.overall * 100)}%</span>
+                ${a.audio.user ? `<button class="btn btn-ghost history-play" data-id="${a.id}" data-which="user">You</button>` : ''}
+                ${a.audio.target ? `<button class="btn btn-ghost history-play" data-id="${a.id}" data-which="target">Target</button>` : ''}
+            </li>`).join('');
+
+        list.querySelectorAll('.history-play').forEach(btn => {
+            btn.addEventListener('click', () => this.playAudio(btn.dataset.id, btn.dataset.which));
+        });
+    }
+
+    async playAudio(id, which) {
+        const clip = await window.electronAPI.getHistoryAudio(id, which);
+        if (!clip) return;
+        const audio = new Audio(URL.createObjectURL(new Blob([clip.data], { type: clip.type })));
+        audio.play();
+    }
+
+    /**
+     * Group attempts into day or week periods with average scores per period
+     */
+    bucket(attempts) {
+        const periods = new Map();
+        attempts.forEach(a => {
+            const start = this.periodStart(a.timestamp, this.granularity);
+            if (!periods.has(start)) periods.set(start, []);
+            periods.get(start).push(a);
+        });
+
+        return [...periods.entries()].sort((a, b) => a[0] - b[0]).map(([start, group]) => {
+            const metrics = {};
+            Object.keys(ProgressView.METRICS).forEach(key => {
+                const values = group.map(a => a.scores[key]).filter(v => typeof v === 'number');
+                if (values.length > 0) metrics[key] = values.reduce((a, b) => a + b, 0) / values.length;
+            });
+
+            return {
+                start,
+                label: this.formatPeriod(start),
+                value: group.reduce((sum, a) => sum + a.scores.overall, 0) / group.length,
+                count: group.length,
+                metrics
+            };
+        });
+    }
+
+    /**
+     * Local midnight of the day, or of the Monday starting the week
+     */
+    periodStart(timestamp, granularity) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        if (granularity === 'week') {
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        }
+        return date.getTime();
+    }
+
+    formatPeriod(start) {
+        const label = new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        return this.granularity === 'week' ? `Wk of ${label}` : label;
+    }
+}
+
+// Export
+window.ProgressView = ProgressView;
@@ -0,0 +1,86 @@
+/**
+ * Prompt Catalog - Renderer view of the prompt library kept by the main process
+ * Prompt: { id, text, topic, difficulty, phonemes, source }; deck: { id, name, promptIds }
+ */
+
+class PromptCatalog {
+    constructor() {
+        this.prompts = [];
+        this.decks = [];
+    }
+
+    async load() {
+        const { prompts, decks } = await window.electronAPI.getPrompts();
+        this.prompts = prompts;
+        this.decks = decks;
+        return this.prompts;
+    }
+
+    list() {
+        return this.prompts;
+    }
+
+    listDecks() {
+        return this.decks;
+    }
+
+    getDeck(id) {
+        return this.decks.find(d => d.id === id) || null;
+    }
+
+    findByText(text) {
+        return this.prompts.find(p => p.text === text) || null;
+    }
+
+    /**
+     * Prompts in a deck, or the whole library when the deck is unknown or empty
+     */
+    getPool(deckId) {
+        const deck = this.getDeck(deckId);
+        const pool = deck ? this.prompts.filter(p => deck.promptIds.includes(p.id)) : [];
+        return pool.length > 0 ? pool : this.prompts;
+    }
+
+    /**
+     * Distinct values of a tag across the library, for filters
+     * @param {'topic'|'difficulty'|'phonemes'} tag
+     */
+    tagValues(tag) {
+        const values = new Set(this.prompts.flatMap(p => tag === 'phonemes' ? p.phonemes : [p[tag]]).filter(Boolean));
+        return [...values].sort();
+    }
+
+    /**
+     * Ask for files and import them
+     * @returns {Array} - Per file: { file, added, skipped, deck } or { file, error }
+     */
+    async importFiles() {
+        const imports = await window.electronAPI.importPrompts();
+        if (imports.length > 0) await this.load();
+        return imports;
+    }
+
+    async updatePrompt(id, tags) {
+        await window.electronAPI.updatePrompt(id, tags);
+        await this.load();
+    }
+
+    async removePrompts(ids) {
+        await window.electronAPI.removePrompts(ids);
+        await this.load();
+    }
+
+    async saveDeck(deck) {
+        const saved = await window.electronAPI.saveDeck(deck);
+        await this.load();
+        return saved;
+    }
+
+    async removeDeck(id) {
+        await window.electronAPI.removeDeck(id);
+        await this.load();
+    }
+}
+
+// Export
+window.PromptCatalog = PromptCatalog;
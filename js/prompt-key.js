@@ -0,0 +1,21 @@
+/**
+ * Prompt Key - Text key that identifies a sentence everywhere prompts are matched
+ * (prompt IDs, reference clips, the review schedule). Case, punctuation and Unicode
+ * form don't matter; letters and digits of every script do, so "¿Dónde está?" and
+ * "Спасибо большое." each get their own key. Word breaks count ("ice cream" isn't
+ * "I scream"); apostrophes don't, so "isn't" matches a clip named isnt-it.mp3.
+ */
+
+function promptKey(text) {
+    return String(text).normalize('NFKC').toLowerCase()
+        .replace(/['\u2019]/g, '')
+        .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Export (a global in the renderer; the main process requires this file)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = promptKey;
+} else {
+    self.promptKey = promptKey;
+}
@@ -0,0 +1,224 @@
+/**
+ * Prompt Library - Browse, tag and import practice sentences and group them into decks
+ * Decks are what teachers hand out: import a file and it becomes a deck, or pick
+ * sentences from the library and save them as one.
+ */
+
+class PromptLibraryView {
+    /**
+     * @param {PromptCatalog} promptCatalog
+     * @param {object} options
+     * @param {function} options.onChange - Called after prompts or decks change
+     */
+    constructor(promptCatalog, { onChange }) {
+        this.catalog = promptCatalog;
+        this.onChange = onChange;
+        this.filters = { deck: '', topic: '', difficulty: '', phoneme: '' };
+        this.selected = new Set();
+        this.editing = null;
+    }
+
+    async load() {
+        await this.catalog.load();
+        this.render();
+    }
+
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.selected.clear();
+        this.render();
+    }
+
+    getVisiblePrompts() {
+        const { deck, topic, difficulty, phoneme } = this.filters;
+        const deckEntry = this.catalog.getDeck(deck);
+        return this.catalog.list().filter(p =>
+            (!deckEntry || deckEntry.promptIds.includes(p.id)) &&
+            (!topic || p.topic === topic) &&
+            (!difficulty || p.difficulty === difficulty) &&
+            (!phoneme || p.phonemes.includes(phoneme)));
+    }
+
+    render() {
+        // A deleted deck can't stay selected
+        if (this.filters.deck && !this.catalog.getDeck(this.filters.deck)) this.filters.deck = '';
+
+        this.renderFilters();
+        this.renderList();
+        this.renderSelection();
+    }
+
+    renderFilters() {
+        const fill = (id, allLabel, values, selected) => {
+            document.getElementById(id).innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(({ value, label }) =>
+                    `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+                ).join('');
+        };
+        const asOptions = values => values.map(value => ({ value, label: value }));
+
+        fill('prompt-deck-filter', 'All prompts',
+            this.catalog.listDecks().map(d => ({ value: d.id, label: `${d.name} (${d.promptIds.length})` })), this.filters.deck);
+        fill('prompt-topic-filter', 'Any topic', asOptions(this.catalog.tagValues('topic')), this.filters.topic);
+        fill('prompt-difficulty-filter', 'Any difficulty', asOptions(this.catalog.tagValues('difficulty')), this.filters.difficulty);
+        fill('prompt-phoneme-filter', 'Any phoneme', asOptions(this.catalog.tagValues('phonemes')), this.filters.phoneme);
+
+        document.getElementById('delete-deck-btn').hidden = !this.filters.deck;
+    }
+
+    renderList() {
+        const list = document.getElementById('prompt-list');
+        const prompts = this.getVisiblePrompts();
+
+        if (prompts.length === 0) {
+            list.innerHTML = '<li class="empty-state">No prompts match. Import a .txt, .csv or .json file to add your own.</li>';
+            return;
+        }
+
+        list.innerHTML = prompts.map(prompt => `
+            <li class="prompt-item" data-id="${prompt.id}">
+                <input type="checkbox" ${this.selected.has(prompt.id) ? 'checked' : ''}>
+                <div class="prompt-item-body">
+                    <span class="prompt-item-text">${escapeHtml(prompt.text)}</span>
+                    ${prompt.id === this.editing ? this.renderTagEditor(prompt) : this.renderTags(prompt)}
+                </div>
+                ${prompt.id === this.editing ? '' : '<button class="btn btn-ghost" data-action="edit">Edit Tags</button>'}
+            </li>`).join('');
+
+        list.querySelectorAll('.prompt-item').forEach(item => {
+            const id = item.dataset.id;
+            item.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+                if (e.target.checked) this.selected.add(id);
+                else this.selected.delete(id);
+                this.renderSelection();
+            });
+            item.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => this.handleAction(btn.dataset.action, id, item));
+            });
+        });
+    }
+
+    renderTags(prompt) {
+        const tags = [
+            prompt.topic,
+            prompt.difficulty,
+            ...prompt.phonemes.map(p => `/${p}/`)
+        ].filter(Boolean);
+        return `<span class="prompt-tags">${tags.map(t => `<span class="prompt-tag">${escapeHtml(t)}</span>`).join('')}
+            <span class="history-date">${escapeHtml(prompt.source || '')}</span></span>`;
+    }
+
+    renderTagEditor(prompt) {
+        return `
+            <div class="inline-fields prompt-tag-editor">
+                <input type="text" class="form-input" data-tag="topic" placeholder="Topic" value="${escapeHtml(prompt.topic || '')}">
+                <select class="form-select" data-tag="difficulty">
+                    <option value="">Difficulty</option>
+                    ${['easy', 'medium', 'hard'].map(d => `<option value="${d}" ${d === prompt.difficulty ? 'selected' : ''}>${d}</option>`).join('')}
+                </select>
+                <input type="text" class="form-input" data-tag="phonemes" placeholder="Phonemes, e.g. θ ð r" value="${escapeHtml(prompt.phonemes.join(' '))}">
+                <button class="btn btn-secondary" data-action="save-tags">Save</button>
+                <button class="btn btn-ghost" data-action="cancel-tags">Cancel</button>
+            </div>`;
+    }
+
+    renderSelection() {
+        const count = this.selected.size;
+        document.getElementById('prompt-selection').hidden = count === 0;
+        document.getElementById('prompt-selection-count').textContent =
+            count === 1 ? '1 prompt selected' : `${count} prompts selected`;
+    }
+
+    async handleAction(action, id, item) {
+        try {
+            if (action === 'edit') {
+                this.editing = id;
+                this.renderList();
+            }
+            if (action === 'cancel-tags') {
+                this.editing = null;
+                this.renderList();
+            }
+            if (action === 'save-tags') {
+                const tags = {};
+                item.querySelectorAll('[data-tag]').forEach(input => { tags[input.dataset.tag] = input.value; });
+                await this.catalog.updatePrompt(id, tags);
+                this.editing = null;
+                this.render();
+                this.onChange();
+            }
+        } catch (error) {
+            console.error(`Prompt ${action} failed:`, error);
+            alert(`Could not update the prompt: ${error.message}`);
+        }
+    }
+
+    async importFiles() {
+        const status = document.getElementById('prompt-import-status');
+        let imports;
+        try {
+            imports = await this.catalog.importFiles();
+        } catch (error) {
+            console.error('Import failed:', error);
+            status.textContent = `Import failed: ${error.message}`;
+            return;
+        }
+        if (imports.length === 0) return;
+
+        status.textContent = imports.map(result => result.error
+            ? `${result.file}: ${result.error}`
+            : `${result.file}: ${result.added} added, ${result.skipped} already in the library, deck "${result.deck.name}"`
+        ).join(' · ');
+
+        // Show the first imported deck
+        const first = imports.find(result => result.deck);
+        if (first) this.filters = { deck: first.deck.id, topic: '', difficulty: '', phoneme: '' };
+        this.selected.clear();
+        this.render();
+        this.onChange();
+    }
+
+    async saveDeck() {
+        const input = document.getElementById('deck-name-input');
+        const name = input.value.trim();
+        if (!name) {
+            input.focus();
+            return;
+        }
+
+        try {
+            const deck = await this.catalog.saveDeck({ name, promptIds: [...this.selected] });
+            input.value = '';
+            this.selected.clear();
+            this.filters = { deck: deck.id, topic: '', difficulty: '', phoneme: '' };
+            this.render();
+            this.onChange();
+        } catch (error) {
+            console.error('Failed to save deck:', error);
+            alert(`Could not save the deck: ${error.message}`);
+        }
+    }
+
+    async deleteDeck() {
+        const deck = this.catalog.getDeck(this.filters.deck);
+        if (!deck || !confirm(`Delete the deck "${deck.name}"? Its prompts stay in the library.`)) return;
+
+        await this.catalog.removeDeck(deck.id);
+        this.filters.deck = '';
+        this.render();
+        this.onChange();
+    }
+
+    async deleteSelected() {
+        const count = this.selected.size;
+        if (!confirm(`Delete ${count} prompt(s) from the library and from every deck?`)) return;
+
+        await this.catalog.removePrompts([...this.selected]);
+        this.selected.clear();
+        this.render();
+        this.onChange();
+    }
+}
+
+// Export
+window.PromptLibraryView = PromptLibraryView;
@@ -0,0 +1,22 @@
+/**
+ * Prosody Worker - Runs ProsodyAnalyzer.analyzeSamples off the UI thread
+ * Receives { samples (transferred Float32Array), sampleRate } and posts back
+ * { type: 'progress', fraction, stage }, then { type: 'result', features } or { type: 'error', message }.
+ * One analysis per worker; the page terminates it to cancel.
+ */
+
+importScripts('prosody.js');
+
+const analyzer = new ProsodyAnalyzer();
+
+self.onmessage = ({ data }) => {
+    const { samples, sampleRate } = data;
+    try {
+        const features = analyzer.analyzeSamples(samples, sampleRate, (fraction, stage) => {
+            self.postMessage({ type: 'progress', fraction, stage });
+        });
+        self.postMessage({ type: 'result', features });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -2,6 +2,8 @@
  * Prosody Analysis Module
  * Research-grade prosodic metrics: F0, F1/F2 formants, intensity, duration, etc.
  * Uses YIN algorithm for pitch detection and custom formant extraction
+ * Audio is decoded on the UI thread; the frame-by-frame analysis runs in
+ * prosody-worker.js, which loads this same file.
  */
 
 class ProsodyAnalyzer {
@@ -15,24 +17,97 @@ class ProsodyAnalyzer {
         this.sampleRate = this.audioContext.sampleRate;
     }
 
+    static WORKER_URL = 'js/prosody-worker.js';
+
     /**
      * Analyze audio blob and extract prosodic features
+     * @param {Blob} audioBlob - Encoded audio
+     * @param {object} [options]
+     * @param {number} [options.startTime] - Seconds to skip at the start (e.g. shadowing latency)
+     * @param {function} [options.onProgress] - Called with (fraction 0-1, stage) as the analysis runs
+     * @param {AbortSignal} [options.signal] - Aborting stops the analysis and rejects with an AbortError
      */
-    async analyzeAudio(audioBlob) {
+    async analyzeAudio(audioBlob, options = {}) {
         if (!this.audioContext) {
             await this.initialize();
         }
 
         const arrayBuffer = await audioBlob.arrayBuffer();
         const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-        const samples = audioBuffer.getChannelData(0);
+        let samples = audioBuffer.getChannelData(0);
+
+        if (options.startTime > 0) {
+            const offset = Math.min(samples.length, Math.floor(options.startTime * this.sampleRate));
+            samples = samples.subarray(offset);
+        }
+
+        return await this.analyzeInWorker(samples, this.sampleRate, options);
+    }
+
+    /**
+     * Run analyzeSamples in a worker so long takes don't freeze the UI. Each analysis
+     * gets its own worker, so cancelling one is just terminating it.
+     */
+    analyzeInWorker(samples, sampleRate, { onProgress = () => {}, signal } = {}) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve(this.analyzeSamples(samples, sampleRate, onProgress));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(new DOMException('Analysis cancelled', 'AbortError'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(ProsodyAnalyzer.WORKER_URL);
+            const finish = () => {
+                worker.terminate();
+                if (signal) signal.removeEventListener('abort', abort);
+            };
+            const abort = () => {
+                finish();
+                reject(new DOMException('Analysis cancelled', 'AbortError'));
+            };
+            if (signal) signal.addEventListener('abort', abort, { once: true });
+
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    onProgress(data.fraction, data.stage);
+                } else if (data.type === 'result') {
+                    finish();
+                    resolve(data.features);
+                } else if (data.type === 'error') {
+                    finish();
+                    reject(new Error(data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                finish();
+                reject(new Error(`Prosody analysis failed: ${event.message || 'worker error'}`));
+            };
+
+            // The channel data belongs to the AudioBuffer, so hand the worker a copy it can own
+            const copy = samples.slice();
+            worker.postMessage({ samples: copy, sampleRate }, [copy.buffer]);
+        });
+    }
+
+    /**
+     * Extract every prosodic feature from raw samples (synchronous; see analyzeInWorker)
+     * @param {Float32Array} samples - Mono samples, -1..1
+     * @param {number} sampleRate
+     * @param {function} [onProgress] - Called with (fraction 0-1, stage)
+     */
+    analyzeSamples(samples, sampleRate, onProgress = () => {}) {
+        // Pitch and formants are the expensive stages; intensity and rate take a moment
+        const f0 = this.extractF0Contour(samples, sampleRate, fraction => onProgress(fraction * 0.5, 'pitch'));
+        const formants = this.extractFormants(samples, sampleRate, fraction => onProgress(0.5 + fraction * 0.45, 'formants'));
+        onProgress(0.95, 'intensity');
 
         const features = {
-            f0: this.extractF0Contour(samples, this.sampleRate),
-            formants: this.extractFormants(samples, this.sampleRate),
-            intensity: this.extractIntensity(samples, this.sampleRate),
-            duration: audioBuffer.duration,
-            speakingRate: this.estimateSpeakingRate(samples, this.sampleRate),
+            f0,
+            formants,
+            intensity: this.extractIntensity(samples, sampleRate),
+            duration: samples.length / sampleRate,
+            speakingRate: this.estimateSpeakingRate(samples, sampleRate),
             pitchRange: null // Computed from f0
         };
 
@@ -52,8 +127,9 @@ class ProsodyAnalyzer {
 
     /**
      * Extract F0 (fundamental frequency) contour using YIN algorithm
+     * @param {function} [onProgress] - Called with the fraction of frames done
      */
-    extractF0Contour(samples, sampleRate) {
+    extractF0Contour(samples, sampleRate, onProgress = null) {
         const frameSize = Math.floor(sampleRate * 0.025); // 25ms frames
         const hopSize = Math.floor(sampleRate * 0.010);   // 10ms hop
         const minF0 = 50;   // Hz
@@ -70,6 +146,7 @@ class ProsodyAnalyzer {
             const f0 = this.yinPitchDetection(frame, sampleRate, minLag, maxLag);
             f0Values.push(f0);
             times.push(i / sampleRate);
+            if (onProgress && f0Values.length % ProsodyAnalyzer.PROGRESS_FRAMES === 0) onProgress(i / samples.length);
         }
 
         return {
@@ -84,18 +161,8 @@ class ProsodyAnalyzer {
      */
     yinPitchDetection(frame, sampleRate, minLag, maxLag) {
         const threshold = 0.1;
-        const n = frame.length;
 
-        // Difference function
-        const diff = new Float32Array(maxLag);
-        for (let tau = 1; tau < maxLag; tau++) {
-            let sum = 0;
-            for (let i = 0; i < n - tau; i++) {
-                const delta = frame[i] - frame[i + tau];
-                sum += delta * delta;
-            }
-            diff[tau] = sum;
-        }
+        const diff = this.yinDifference(frame, maxLag);
 
         // Cumulative mean normalized difference function
         const cmndf = new Float32Array(maxLag);
@@ -132,10 +199,131 @@ class ProsodyAnalyzer {
         return sampleRate / betterTau;
     }
 
+    /**
+     * YIN difference function d(tau) = sum over i < n - tau of (x[i] - x[i + tau])^2.
+     * Expanded as two partial energies minus twice the autocorrelation, with the
+     * autocorrelation from an FFT, it costs O(n log n) per frame instead of O(n * maxLag).
+     */
+    yinDifference(frame, maxLag) {
+        const n = frame.length;
+        const size = this.nextPowerOfTwo(n + maxLag); // Padding keeps the correlation linear, not circular
+        const { re, im } = this.fftScratch(size);
+        re.fill(0);
+        im.fill(0);
+        re.set(frame);
+
+        this.fft(re, im);
+        for (let k = 0; k < size; k++) {
+            re[k] = re[k] * re[k] + im[k] * im[k];
+            im[k] = 0;
+        }
+        this.fft(re, im, true);
+
+        // energy[i] = sum of x^2 over the first i samples
+        const energy = new Float64Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            energy[i + 1] = energy[i] + frame[i] * frame[i];
+        }
+
+        const diff = new Float32Array(maxLag);
+        for (let tau = 1; tau < Math.min(maxLag, n); tau++) {
+            const value = energy[n - tau] + (energy[n] - energy[tau]) - 2 * re[tau];
+            diff[tau] = Math.max(0, value);
+        }
+        return diff;
+    }
+
+    /**
+     * In-place iterative radix-2 FFT; re and im must have a power-of-two length.
+     * The inverse is scaled by 1/n.
+     */
+    fft(re, im, inverse = false) {
+        const n = re.length;
+        const { reversed, cos, sin } = this.fftTables(n);
+
+        for (let i = 0; i < n; i++) {
+            const j = reversed[i];
+            if (j > i) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        for (let span = 2; span <= n; span <<= 1) {
+            const half = span >> 1;
+            const step = n / span;
+            for (let start = 0; start < n; start += span) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step];
+                    const wi = inverse ? sin[k * step] : -sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+
+        if (inverse) {
+            for (let i = 0; i < n; i++) {
+                re[i] /= n;
+                im[i] /= n;
+            }
+        }
+    }
+
+    /**
+     * Bit-reversal permutation and twiddle factors, built once per FFT size
+     */
+    fftTables(n) {
+        this.fftTableCache = this.fftTableCache || new Map();
+        if (!this.fftTableCache.has(n)) {
+            const bits = Math.log2(n);
+            const reversed = new Uint32Array(n);
+            for (let i = 0; i < n; i++) {
+                let r = 0;
+                for (let b = 0; b < bits; b++) r = (r << 1) | ((i >> b) & 1);
+                reversed[i] = r;
+            }
+            const cos = new Float64Array(n / 2);
+            const sin = new Float64Array(n / 2);
+            for (let k = 0; k < n / 2; k++) {
+                cos[k] = Math.cos(2 * Math.PI * k / n);
+                sin[k] = Math.sin(2 * Math.PI * k / n);
+            }
+            this.fftTableCache.set(n, { reversed, cos, sin });
+        }
+        return this.fftTableCache.get(n);
+    }
+
+    /**
+     * Reusable working buffers, so per-frame FFTs don't allocate
+     */
+    fftScratch(n) {
+        if (!this.scratch || this.scratch.re.length !== n) {
+            this.scratch = { re: new Float64Array(n), im: new Float64Array(n) };
+        }
+        return this.scratch;
+    }
+
+    nextPowerOfTwo(n) {
+        let size = 1;
+        while (size < n) size <<= 1;
+        return size;
+    }
+
+    // Progress is reported every this many frames (one second of audio)
+    static PROGRESS_FRAMES = 100;
+
     /**
      * Extract formants (F1, F2, F3) using LPC analysis
+     * @param {function} [onProgress] - Called with the fraction of frames done
      */
-    extractFormants(samples, sampleRate) {
+    extractFormants(samples, sampleRate, onProgress = null) {
         const frameSize = Math.floor(sampleRate * 0.025);
         const hopSize = Math.floor(sampleRate * 0.010);
         const lpcOrder = 12; // Standard for formant analysis
@@ -164,6 +352,7 @@ class ProsodyAnalyzer {
             f2Values.push(formants[1] || 0);
             f3Values.push(formants[2] || 0);
             times.push(i / sampleRate);
+            if (onProgress && times.length % ProsodyAnalyzer.PROGRESS_FRAMES === 0) onProgress(i / samples.length);
         }
 
         return {
@@ -388,31 +577,48 @@ class ProsodyAnalyzer {
         };
     }
 
+    // Speaker normalization in compareProsody: an average difference this large along
+    // the aligned contours scores 0
+    static SEMITONE_SCALE = 8;       // F0, semitones from the speaker's median
+    static FORMANT_Z_SCALE = 2;      // F1/F2, Lobanov z-scores
+    static INTENSITY_FLOOR_DB = 30;  // Intensity, dB; frames further below the peak count as silence
+    static PITCH_RANGE_SCALE = 6;    // Pitch range, semitones
+
     /**
-     * Compare two prosodic feature sets and compute similarity scores
+     * Compare two prosodic feature sets and compute similarity scores.
+     * Pitch, vowels and loudness are each measured against the speaker's own voice
+     * (semitones from their median F0, Lobanov-normalized formants, dB from their
+     * speech level), so a low voice copying a high one is scored on the melody,
+     * vowels and stress rather than on anatomy or mic gain.
      */
     compareProsody(targetFeatures, userFeatures) {
         const scores = {};
 
-        // F0 comparison using Dynamic Time Warping
+        // F0 contour comparison using Dynamic Time Warping
         scores.f0 = this.dtwSimilarity(
-            targetFeatures.f0.values.filter(v => v > 0),
-            userFeatures.f0.values.filter(v => v > 0)
+            this.semitonesFromMedian(targetFeatures.f0.values),
+            this.semitonesFromMedian(userFeatures.f0.values),
+            { scale: ProsodyAnalyzer.SEMITONE_SCALE }
         );
 
-        // Formant comparison (F1 and F2 means)
-        const f1Similarity = 1 - Math.min(1, Math.abs(
-            targetFeatures.formants.f1.mean - userFeatures.formants.f1.mean
-        ) / 500);
-        const f2Similarity = 1 - Math.min(1, Math.abs(
-            targetFeatures.formants.f2.mean - userFeatures.formants.f2.mean
-        ) / 800);
-        scores.formants = (f1Similarity + f2Similarity) / 2;
+        // Formant comparison (F1 and F2 tracks through the voiced frames)
+        const targetVowels = this.normalizedFormants(targetFeatures);
+        const userVowels = this.normalizedFormants(userFeatures);
+        if (targetVowels && userVowels) {
+            const options = { scale: ProsodyAnalyzer.FORMANT_Z_SCALE };
+            scores.formants = (
+                this.dtwSimilarity(targetVowels.f1, userVowels.f1, options) +
+                this.dtwSimilarity(targetVowels.f2, userVowels.f2, options)
+            ) / 2;
+        } else {
+            scores.formants = 0.5;
+        }
 
         // Intensity comparison
         scores.intensity = this.dtwSimilarity(
-            this.normalize(targetFeatures.intensity.values),
-            this.normalize(userFeatures.intensity.values)
+            this.relativeIntensity(targetFeatures.intensity.values),
+            this.relativeIntensity(userFeatures.intensity.values),
+            { scale: ProsodyAnalyzer.INTENSITY_FLOOR_DB }
         );
 
         // Speaking rate comparison
@@ -423,12 +629,10 @@ class ProsodyAnalyzer {
         scores.speakingRate = Math.max(0, 1 - rateDiff / 3);
 
         // Pitch range comparison
-        if (targetFeatures.pitchRange && userFeatures.pitchRange) {
-            const rangeDiff = Math.abs(
-                (targetFeatures.pitchRange.max - targetFeatures.pitchRange.min) -
-                (userFeatures.pitchRange.max - userFeatures.pitchRange.min)
-            );
-            scores.pitchRange = Math.max(0, 1 - rangeDiff / 100);
+        const targetRange = this.pitchRangeSemitones(targetFeatures.f0.values);
+        const userRange = this.pitchRangeSemitones(userFeatures.f0.values);
+        if (targetRange !== null && userRange !== null) {
+            scores.pitchRange = Math.max(0, 1 - Math.abs(targetRange - userRange) / ProsodyAnalyzer.PITCH_RANGE_SCALE);
         } else {
             scores.pitchRange = 0.5;
         }
@@ -453,12 +657,165 @@ class ProsodyAnalyzer {
         return scores;
     }
 
+    /**
+     * Voiced F0 in semitones relative to the speaker's median, so the same melody gives
+     * the same contour in a low and a high voice
+     */
+    semitonesFromMedian(f0Values) {
+        const voiced = f0Values.filter(v => v > 0);
+        const reference = this.median(voiced);
+        return voiced.map(v => 12 * Math.log2(v / reference));
+    }
+
+    /**
+     * Spread of the voiced F0 (5th to 95th percentile) in semitones, null without voicing
+     */
+    pitchRangeSemitones(f0Values) {
+        const semitones = this.semitonesFromMedian(f0Values);
+        if (semitones.length < 2) return null;
+        return this.percentile(semitones, 0.95) - this.percentile(semitones, 0.05);
+    }
+
+    /**
+     * Lobanov-normalized F1/F2 tracks of the voiced frames: each formant as z-scores
+     * over the speaker's own frames, which takes out vocal tract length (a shorter
+     * tract raises every formant)
+     * @returns {object|null} - { f1: [z], f2: [z] }, null with too few voiced frames
+     */
+    normalizedFormants(features) {
+        const { f1, f2 } = features.formants;
+        const frames = [];
+        for (let i = 0; i < f1.values.length; i++) {
+            if (features.f0.values[i] > 0 && f1.values[i] > 0 && f2.values[i] > 0) frames.push(i);
+        }
+        if (frames.length < 5) return null;
+
+        const lobanov = (values) => {
+            const smoothed = this.movingAverage(values, 5);
+            const mean = this.mean(smoothed);
+            const sd = Math.sqrt(this.calculateVariance(smoothed)) || 1;
+            return smoothed.map(v => (v - mean) / sd);
+        };
+        return {
+            f1: lobanov(frames.map(i => f1.values[i])),
+            f2: lobanov(frames.map(i => f2.values[i]))
+        };
+    }
+
+    /**
+     * Intensity in dB relative to the speaker's mean speech level, with anything more
+     * than INTENSITY_FLOOR_DB below the peak flattened to the floor, so mic gain and
+     * background noise don't change the contour
+     */
+    relativeIntensity(values) {
+        if (values.length === 0) return [];
+        const floor = Math.max(...values) - ProsodyAnalyzer.INTENSITY_FLOOR_DB;
+        const speechLevel = this.mean(values.filter(v => v >= floor));
+        return values.map(v => Math.max(v, floor) - speechLevel);
+    }
+
+    /**
+     * Steady-state vowel of a single-word take: voiced frames within 6 dB of the loudest
+     * one, summarized by their median F1/F2
+     * @returns {object|null} - { f1, f2, points: [{ f1, f2 }] }, null if no vowel was found
+     */
+    vowelNucleus(features) {
+        const { f1, f2 } = features.formants;
+        const intensity = features.intensity.values;
+        const voiced = [];
+        for (let i = 0; i < f1.values.length; i++) {
+            if (features.f0.values[i] > 0 && f1.values[i] > 0 && f2.values[i] > 0) voiced.push(i);
+        }
+        if (voiced.length === 0) return null;
+
+        const peak = Math.max(...voiced.map(i => intensity[i]));
+        const points = voiced.filter(i => intensity[i] >= peak - 6)
+            .map(i => ({ f1: f1.values[i], f2: f2.values[i] }));
+        if (points.length < 3) return null;
+
+        return {
+            f1: this.median(points.map(p => p.f1)),
+            f2: this.median(points.map(p => p.f2)),
+            points
+        };
+    }
+
+    /**
+     * Mean and SD of F1/F2 over one speaker's vowel nuclei (from vowelNucleus), for
+     * Lobanov-normalizing single vowels; null if the formants don't vary
+     * @returns {object|null} - { f1: { mean, sd }, f2: { mean, sd } }
+     */
+    vowelSpace(nuclei) {
+        const stats = (values) => ({ mean: this.mean(values), sd: Math.sqrt(this.calculateVariance(values)) });
+        const space = { f1: stats(nuclei.map(n => n.f1)), f2: stats(nuclei.map(n => n.f2)) };
+        return space.f1.sd > 0 && space.f2.sd > 0 ? space : null;
+    }
+
+    /**
+     * Vowel similarity (0-1): the F1/F2 distance from vowelOffset, scoring 0 at its range
+     * @param {object} [spaces] - { target, user } vowel spaces, see vowelOffset
+     */
+    compareVowel(target, user, spaces = null) {
+        const offset = this.vowelOffset(target, user, spaces);
+        return Math.max(0, 1 - Math.hypot(offset.f1, offset.f2) / offset.range);
+    }
+
+    /**
+     * User's vowel minus the target's. Given both speakers' vowel spaces (see vowelSpace)
+     * the formants are Lobanov z-scores, so a shorter vocal tract raising every formant
+     * isn't an error, and FORMANT_Z_SCALE apart scores 0; otherwise they are on the Bark
+     * scale, which tracks perceived vowel quality better than Hz, and 3 Bark scores 0.
+     * @returns {object} - { f1, f2, normalized, range }
+     */
+    vowelOffset(target, user, spaces = null) {
+        if (spaces && spaces.target && spaces.user) {
+            const z = (value, { mean, sd }) => (value - mean) / sd;
+            return {
+                f1: z(user.f1, spaces.user.f1) - z(target.f1, spaces.target.f1),
+                f2: z(user.f2, spaces.user.f2) - z(target.f2, spaces.target.f2),
+                normalized: true,
+                range: ProsodyAnalyzer.FORMANT_Z_SCALE
+            };
+        }
+        return {
+            f1: this.hzToBark(user.f1) - this.hzToBark(target.f1),
+            f2: this.hzToBark(user.f2) - this.hzToBark(target.f2),
+            normalized: false,
+            range: 3
+        };
+    }
+
+    hzToBark(hz) {
+        return 26.81 * hz / (1960 + hz) - 0.53;
+    }
+
     /**
      * Dynamic Time Warping similarity (simplified)
+     * @param {object} [options] - { scale }, see dtwAlign
      */
-    dtwSimilarity(seq1, seq2) {
+    dtwSimilarity(seq1, seq2, options = {}) {
         if (seq1.length === 0 || seq2.length === 0) return 0;
 
+        const { distance, path } = this.dtwAlign(seq1, seq2, options);
+        const n = path[path.length - 1][0] + 1;
+        const m = path[path.length - 1][1] + 1;
+
+        const maxDist = Math.max(n, m);
+        const similarity = 1 - Math.min(1, distance / maxDist);
+
+        return similarity;
+    }
+
+    /**
+     * Dynamic Time Warping alignment of two sequences
+     * Both are resampled to at most 100 points and min-max normalized first.
+     * @param {object} [options]
+     * @param {number} [options.scale] - Divide by this instead of min-max normalizing, for
+     *     sequences already in comparable units (e.g. semitones); a difference of one
+     *     scale then costs as much as opposite ends of a normalized contour
+     * @returns {object} - { distance, path: [[i, j], ...] from start to end, s1, s2 (normalized) }
+     */
+    dtwAlign(seq1, seq2, { scale = null } = {}) {
         const n = Math.min(seq1.length, 100); // Limit for performance
         const m = Math.min(seq2.length, 100);
 
@@ -467,8 +824,8 @@ class ProsodyAnalyzer {
         const s2 = this.resample(seq2, m);
 
         // Normalize
-        const ns1 = this.normalize(s1);
-        const ns2 = this.normalize(s2);
+        const ns1 = scale ? s1.map(v => v / scale) : this.normalize(s1);
+        const ns2 = scale ? s2.map(v => v / scale) : this.normalize(s2);
 
         // DTW matrix
         const dtw = Array(n + 1).fill(null).map(() => Array(m + 1).fill(Infinity));
@@ -481,10 +838,27 @@ class ProsodyAnalyzer {
             }
         }
 
-        const maxDist = Math.max(n, m);
-        const similarity = 1 - Math.min(1, dtw[n][m] / maxDist);
+        // Backtrack the cheapest warping path
+        const path = [];
+        let i = n;
+        let j = m;
+        while (i > 0 && j > 0) {
+            path.push([i - 1, j - 1]);
+            const diag = dtw[i - 1][j - 1];
+            const up = dtw[i - 1][j];
+            const left = dtw[i][j - 1];
+            if (diag <= up && diag <= left) {
+                i--;
+                j--;
+            } else if (up <= left) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        path.reverse();
 
-        return similarity;
+        return { distance: dtw[n][m], path, s1: ns1, s2: ns2 };
     }
 
     resample(arr, targetLen) {
@@ -516,6 +890,19 @@ class ProsodyAnalyzer {
         return arr.reduce((a, b) => a + b, 0) / arr.length;
     }
 
+    median(arr) {
+        if (arr.length === 0) return 0;
+        const sorted = [...arr].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    percentile(arr, p) {
+        if (arr.length === 0) return 0;
+        const sorted = [...arr].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
     calculateVariance(arr) {
         const m = this.mean(arr);
         return arr.reduce((sum, v) => sum + (v - m) ** 2, 0) / arr.length;
@@ -538,23 +925,21 @@ class ProsodyAnalyzer {
     generateFeedback(scores, targetFeatures, userFeatures) {
         const feedback = [];
 
+        // Pitch advice is about the melody in semitones; how high the voice sits is anatomy
         if (scores.f0 < 0.6) {
-            const targetRange = targetFeatures.pitchRange;
-            const userRange = userFeatures.pitchRange;
-            if (userRange && targetRange) {
-                if (userRange.mean < targetRange.mean * 0.9) {
-                    feedback.push('Try speaking with a slightly higher pitch to match the target accent.');
-                } else if (userRange.mean > targetRange.mean * 1.1) {
-                    feedback.push('Your pitch is higher than the target. Try lowering it slightly.');
-                }
-                if ((userRange.max - userRange.min) < (targetRange.max - targetRange.min) * 0.7) {
-                    feedback.push('Add more variation to your intonation - the target has a wider pitch range.');
-                }
+            const targetRange = this.pitchRangeSemitones(targetFeatures.f0.values);
+            const userRange = this.pitchRangeSemitones(userFeatures.f0.values);
+            if (targetRange !== null && userRange !== null && userRange < targetRange * 0.7) {
+                feedback.push('Add more variation to your intonation - the target has a wider pitch range.');
+            } else if (targetRange !== null && userRange !== null && userRange > targetRange * 1.4) {
+                feedback.push('Your pitch moves more than the target\'s - keep the melody steadier.');
+            } else {
+                feedback.push('Follow where the target\'s pitch rises and falls - the melody differs from yours.');
             }
         }
 
         if (scores.formants < 0.6) {
-            feedback.push('Focus on vowel sounds - the resonance differs from the target accent.');
+            feedback.push('Focus on vowel sounds - the resonance differs from the target accent. The Vowel Drills target one vowel contrast at a time.');
         }
 
         if (scores.speakingRate < 0.6) {
@@ -583,5 +968,10 @@ class ProsodyAnalyzer {
     }
 }
 
-// Export
-window.ProsodyAnalyzer = ProsodyAnalyzer;
+// Export (self is the window in the renderer and the global scope in prosody-worker.js;
+// the command-line analyzer loads this file as a Node module)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProsodyAnalyzer;
+} else {
+    self.ProsodyAnalyzer = ProsodyAnalyzer;
+}
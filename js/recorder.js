@@ -4,7 +4,11 @@
  */
 
 class AudioRecorder {
-    constructor() {
+    /**
+     * @param {ProsodyAnalyzer} prosodyAnalyzer - Intensity and pitch code for the take quality check
+     */
+    constructor(prosodyAnalyzer) {
+        this.prosody = prosodyAnalyzer;
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.audioContext = null;
@@ -13,15 +17,30 @@ class AudioRecorder {
         this.isRecording = false;
         this.selectedDeviceId = null;
         this.availableDevices = [];
+        this.captureSettings = { ...AudioRecorder.CAPTURE_DEFAULTS };
+        this.deviceLost = false;
+        this.onDevicesChanged = null; // Called when a microphone is plugged in or removed
+        this.onDeviceLost = null; // Called when the open microphone goes away
     }
 
+    // Browser processing is on by default; auto gain in particular flattens the
+    // loudness contour that the intensity score compares, so it starts off here
+    static CAPTURE_DEFAULTS = {
+        echoCancellation: true,
+        noiseSuppression: false,
+        autoGainControl: false,
+        sampleRate: null,
+        channelCount: 1
+    };
+
     /**
      * Get list of available audio input devices
      */
     async getAudioDevices() {
         try {
             // Need to request permission first to get device labels
-            await navigator.mediaDevices.getUserMedia({ audio: true });
+            const probe = await navigator.mediaDevices.getUserMedia({ audio: true });
+            probe.getTracks().forEach(track => track.stop());
             const devices = await navigator.mediaDevices.enumerateDevices();
             this.availableDevices = devices.filter(d => d.kind === 'audioinput');
             return this.availableDevices.map(d => ({
@@ -35,16 +54,66 @@ class AudioRecorder {
         }
     }
 
+    /**
+     * Report plugged in and removed microphones through onDevicesChanged
+     */
+    watchDevices() {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            if (this.onDevicesChanged) this.onDevicesChanged();
+        });
+    }
+
     /**
      * Set the audio input device
      */
     setDevice(deviceId) {
         this.selectedDeviceId = deviceId;
-        // Close existing stream if any
+        this.release();
+    }
+
+    /**
+     * Change the capture constraints. An open stream is reopened with them right away,
+     * unless a take is in progress; then they apply from the next recording.
+     * @param {object} settings - { echoCancellation, noiseSuppression, autoGainControl, sampleRate, channelCount }
+     * @returns {object|null} - Settings of the reopened track, or null if nothing was reopened
+     */
+    async setCaptureSettings(settings) {
+        this.captureSettings = { ...AudioRecorder.CAPTURE_DEFAULTS, ...settings };
+        if (!this.stream || this.isRecording) return null;
+        await this.initialize();
+        return this.getTrackSettings();
+    }
+
+    getCaptureConstraints() {
+        const { echoCancellation, noiseSuppression, autoGainControl, sampleRate, channelCount } = this.captureSettings;
+        const constraints = { echoCancellation, noiseSuppression, autoGainControl };
+        if (this.selectedDeviceId) constraints.deviceId = { exact: this.selectedDeviceId };
+        if (sampleRate) constraints.sampleRate = { ideal: sampleRate };
+        if (channelCount) constraints.channelCount = { ideal: channelCount };
+        return constraints;
+    }
+
+    /**
+     * What the browser actually granted for the open track (it may not honour every request)
+     */
+    getTrackSettings() {
+        const track = this.stream ? this.stream.getAudioTracks()[0] : null;
+        return track ? track.getSettings() : null;
+    }
+
+    /**
+     * Stop the open stream and its audio context
+     */
+    release() {
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
             this.stream = null;
         }
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close();
+        }
+        this.audioContext = null;
+        this.analyser = null;
     }
 
     /**
@@ -54,14 +123,25 @@ class AudioRecorder {
         if (deviceId) this.selectedDeviceId = deviceId;
 
         try {
-            const constraints = {
-                audio: this.selectedDeviceId
-                    ? { deviceId: { exact: this.selectedDeviceId } }
-                    : true
-            };
-
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            // Reopen from scratch so changed constraints can't mix with the old stream
+            this.release();
+            this.stream = await navigator.mediaDevices.getUserMedia({ audio: this.getCaptureConstraints() });
+            this.deviceLost = false;
+
+            // Unplugging the mic ends the track (stopping it ourselves doesn't fire this)
+            const stream = this.stream;
+            stream.getAudioTracks()[0].addEventListener('ended', () => {
+                if (this.stream !== stream) return;
+                console.warn('Microphone disconnected');
+                this.deviceLost = true;
+                this.release();
+                if (this.onDeviceLost) this.onDeviceLost();
+            });
+
+            // Run the context at the track's rate so the analyser sees the samples as captured
+            const { sampleRate } = this.getTrackSettings() || {};
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioContext = sampleRate ? new AudioContextClass({ sampleRate }) : new AudioContextClass();
 
             // Resume audio context if suspended
             if (this.audioContext.state === 'suspended') {
@@ -74,7 +154,6 @@ class AudioRecorder {
             const source = this.audioContext.createMediaStreamSource(this.stream);
             source.connect(this.analyser);
 
-            console.log('Recorder initialized with device:', this.selectedDeviceId || 'default');
             return true;
         } catch (error) {
             console.error('Failed to initialize recorder:', error);
@@ -123,6 +202,15 @@ class AudioRecorder {
                 return;
             }
 
+            // A take whose microphone was unplugged is cut short; drop it
+            if (this.deviceLost || this.mediaRecorder.state === 'inactive') {
+                console.warn('Recording ended early, discarding the take');
+                if (this.mediaRecorder.state !== 'inactive') this.mediaRecorder.stop();
+                this.isRecording = false;
+                resolve(null);
+                return;
+            }
+
             this.mediaRecorder.onstop = () => {
                 console.log('Recording stopped, chunks:', this.audioChunks.length);
 
@@ -146,7 +234,8 @@ class AudioRecorder {
 
     async convertToWav(webmBlob) {
         const arrayBuffer = await webmBlob.arrayBuffer();
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        const context = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        const audioBuffer = await context.decodeAudioData(arrayBuffer);
         const wavBuffer = this.audioBufferToWav(audioBuffer);
         return new Blob([wavBuffer], { type: 'audio/wav' });
     }
@@ -210,13 +299,172 @@ class AudioRecorder {
         return dataArray;
     }
 
-    cleanup() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
+    /**
+     * Get the current analyser frame as float samples (-1..1) for pitch tracking
+     */
+    getAnalyserFloatData() {
+        if (!this.analyser) return null;
+        const dataArray = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(dataArray);
+        return dataArray;
+    }
+
+    getSampleRate() {
+        return this.audioContext ? this.audioContext.sampleRate : null;
+    }
+
+    // Thresholds for checkQuality: past BLOCK the take is rejected, past WARN it is flagged
+    static QUALITY = {
+        SNR_BLOCK_DB: 10,
+        SNR_WARN_DB: 20,
+        CLIP_BLOCK: 0.001,
+        CLIP_WARN: 0.0002,
+        LEVEL_BLOCK_DB: -45,
+        LEVEL_WARN_DB: -35,
+        PAUSE_WARN: 0.5
+    };
+
+    // Silence kept on either side of the speech when trimming
+    static TRIM_PADDING = 0.2;
+
+    /**
+     * Pre-flight check for a finished take, before it is analyzed or uploaded.
+     * Levels come from the prosody intensity envelope: the quietest frames give the
+     * noise floor, frames well above it count as speech, and YIN on the speech frames
+     * gives the voiced duration.
+     * @param {Blob} audioBlob - Recorded audio
+     * @param {object} [options]
+     * @param {number} [options.minDuration] - Seconds the whole take must last
+     * @param {number} [options.minVoiced] - Seconds of voiced speech the take must contain
+     * @param {boolean} [options.trim] - Cut leading and trailing silence into a new WAV blob
+     * @returns {object} - { ok, blob, duration, peak, speechDb, noiseDb, snrDb, clippingRatio,
+     *                       silenceRatio, voicedDuration, trimmed: { start, end }, issues: [{ level, message }] }
+     */
+    async checkQuality(audioBlob, options = {}) {
+        const { minDuration = 1, minVoiced = 0.5, trim = false } = options;
+        const limits = AudioRecorder.QUALITY;
+        const context = this.audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        const audioBuffer = await context.decodeAudioData(await audioBlob.arrayBuffer());
+        const sampleRate = audioBuffer.sampleRate;
+        const samples = audioBuffer.getChannelData(0);
+
+        let peak = 0;
+        let clipped = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const abs = Math.abs(samples[i]);
+            if (abs > peak) peak = abs;
+            if (abs >= 0.99) clipped++;
         }
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.close();
+
+        // Digital silence would put the floor at -200 dB; clamp so the SNR stays meaningful
+        const levels = this.prosody.extractIntensity(samples, sampleRate).values.map(db => Math.max(-100, db));
+        // A take shorter than one frame counts as silence
+        const noiseDb = levels.length ? this.prosody.percentile(levels, 0.05) : -100;
+        const loudDb = levels.length ? this.prosody.percentile(levels, 0.95) : -100;
+        const speechThreshold = Math.max(noiseDb + 6, loudDb - 30);
+        const speechFrames = [];
+        levels.forEach((db, i) => { if (db >= speechThreshold) speechFrames.push(i); });
+
+        const hop = Math.floor(sampleRate * 0.010);
+        const speechDb = speechFrames.length ? this.prosody.percentile(speechFrames.map(i => levels[i]), 0.5) : noiseDb;
+        const first = speechFrames.length ? speechFrames[0] : 0;
+        const last = speechFrames.length ? speechFrames[speechFrames.length - 1] : -1;
+
+        const result = {
+            blob: audioBlob,
+            duration: audioBuffer.duration,
+            peak,
+            speechDb,
+            noiseDb,
+            snrDb: speechDb - noiseDb,
+            clippingRatio: clipped / Math.max(1, samples.length),
+            silenceRatio: levels.length ? 1 - speechFrames.length / levels.length : 1,
+            voicedDuration: this.measureVoicing(samples, sampleRate, speechFrames),
+            trimmed: { start: 0, end: 0 },
+            issues: []
+        };
+
+        const speechSpan = last - first + 1;
+        if (speechFrames.length === 0) {
+            result.issues.push({ level: 'error', message: 'No speech found - check that the right microphone is selected' });
+        } else if (result.voicedDuration < minVoiced) {
+            result.issues.push({ level: 'error', message: `Only ${result.voicedDuration.toFixed(1)}s of voiced speech - read the whole prompt out loud` });
+        }
+        if (result.duration < minDuration) {
+            result.issues.push({ level: 'error', message: `Too short (${result.duration.toFixed(1)}s) - read the whole passage` });
+        }
+        if (speechFrames.length > 0) {
+            if (speechDb < limits.LEVEL_BLOCK_DB) {
+                result.issues.push({ level: 'error', message: 'Too quiet to analyze - move closer to the microphone or raise the input gain' });
+            } else if (speechDb < limits.LEVEL_WARN_DB) {
+                result.issues.push({ level: 'warning', message: 'Quite quiet - moving closer to the microphone will help' });
+            }
+            if (result.snrDb < limits.SNR_BLOCK_DB) {
+                result.issues.push({ level: 'error', message: `Too noisy (${Math.round(result.snrDb)} dB above the background) - find a quieter spot or get closer to the mic` });
+            } else if (result.snrDb < limits.SNR_WARN_DB) {
+                result.issues.push({ level: 'warning', message: `Background noise is high (${Math.round(result.snrDb)} dB below your voice) - scores may be less reliable` });
+            }
+            if (1 - speechFrames.length / speechSpan > limits.PAUSE_WARN) {
+                result.issues.push({ level: 'warning', message: 'Long pauses - try reading the prompt in one go' });
+            }
         }
+        if (result.clippingRatio > limits.CLIP_BLOCK) {
+            result.issues.push({ level: 'error', message: 'Distorted (clipping) - move back or lower the input gain' });
+        } else if (result.clippingRatio > limits.CLIP_WARN) {
+            result.issues.push({ level: 'warning', message: 'Slight clipping on the loudest parts - a little less gain would help' });
+        }
+
+        result.ok = !result.issues.some(issue => issue.level === 'error');
+
+        if (trim && speechFrames.length > 0) {
+            const padding = Math.floor(AudioRecorder.TRIM_PADDING * sampleRate);
+            const from = Math.max(0, first * hop - padding);
+            const to = Math.min(samples.length, (last + 1) * hop + Math.floor(sampleRate * 0.025) + padding);
+            // Re-encoding isn't worth it for a few milliseconds
+            if (samples.length - (to - from) >= sampleRate * 0.25) {
+                result.blob = this.sliceToWav(audioBuffer, from, to);
+                result.trimmed = { start: from / sampleRate, end: (samples.length - to) / sampleRate };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Seconds of voiced speech, from YIN on every third speech frame
+     */
+    measureVoicing(samples, sampleRate, speechFrames) {
+        const frameSize = Math.floor(sampleRate * 0.025);
+        const hop = Math.floor(sampleRate * 0.010);
+        const minLag = Math.floor(sampleRate / 400);
+        const maxLag = Math.floor(sampleRate / 50);
+        const step = 3;
+
+        let voiced = 0;
+        for (let k = 0; k < speechFrames.length; k += step) {
+            const start = speechFrames[k] * hop;
+            const frame = samples.subarray(start, start + frameSize);
+            if (frame.length === frameSize && this.prosody.yinPitchDetection(frame, sampleRate, minLag, maxLag) > 0) {
+                voiced += Math.min(step, speechFrames.length - k);
+            }
+        }
+        return voiced * 0.010;
+    }
+
+    sliceToWav(audioBuffer, from, to) {
+        const sliced = new AudioBuffer({
+            length: to - from,
+            numberOfChannels: audioBuffer.numberOfChannels,
+            sampleRate: audioBuffer.sampleRate
+        });
+        for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+            sliced.copyToChannel(audioBuffer.getChannelData(ch).subarray(from, to), ch);
+        }
+        return new Blob([this.audioBufferToWav(sliced)], { type: 'audio/wav' });
+    }
+
+    cleanup() {
+        this.release();
     }
 }
 
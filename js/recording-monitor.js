@@ -0,0 +1,173 @@
+/**
+ * Recording Monitor - Live waveform, level meter and level warnings while recording
+ * Reads the recorder's analyser every animation frame. Clipping and too-quiet input
+ * are flagged as they happen and summarized for the finished take, so a bad take can
+ * be redone before it is sent anywhere.
+ */
+
+class RecordingMonitor {
+    /**
+     * @param {AudioRecorder} recorder
+     * @param {object} elements - Element IDs, resolved when monitoring starts
+     * @param {string} elements.waveform - Container the waveform canvas is drawn in
+     * @param {string} elements.meter - Level meter (a .level-meter with a .level-meter-fill child)
+     * @param {string} elements.warning - Element that shows the current warning
+     */
+    constructor(recorder, { waveform, meter, warning }) {
+        this.recorder = recorder;
+        this.ids = { waveform, meter, warning };
+        this.canvas = null;
+        this.frameId = null;
+        this.reset();
+    }
+
+    static FLOOR_DB = -60;
+    static CLIP_LEVEL = 0.99;
+    static QUIET_DB = -45;
+
+    // Speech quieter than QUIET_DB for this long (after this grace period) is "too quiet"
+    static QUIET_WINDOW_MS = 2000;
+    static GRACE_MS = 1500;
+
+    reset() {
+        this.startTime = 0;
+        this.clippedFrames = 0;
+        this.loudestDb = -Infinity;
+        this.recentLevels = [];
+        this.quiet = false;
+        this.displayDb = RecordingMonitor.FLOOR_DB;
+        this.lastClipAt = -Infinity;
+    }
+
+    start() {
+        this.stop();
+        this.reset();
+        this.startTime = performance.now();
+
+        const container = document.getElementById(this.ids.waveform);
+        if (!this.canvas || this.canvas.parentElement !== container) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'waveform-live-canvas';
+            container.prepend(this.canvas);
+        }
+        this.canvas.width = container.clientWidth * window.devicePixelRatio;
+        this.canvas.height = container.clientHeight * window.devicePixelRatio;
+        this.showWarning(null);
+
+        const tick = (now) => {
+            this.update(now);
+            this.frameId = requestAnimationFrame(tick);
+        };
+        this.frameId = requestAnimationFrame(tick);
+    }
+
+    /**
+     * Stop drawing; the last waveform frame and any warning stay visible
+     * @returns {object} - Summary of the take: { clipped, quiet, warnings: [string] }
+     */
+    stop() {
+        if (this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+        this.setMeter(RecordingMonitor.FLOOR_DB);
+
+        const summary = this.getSummary();
+        if (this.startTime) this.showWarning(summary.warnings[0] || null);
+        return summary;
+    }
+
+    clear() {
+        this.stop();
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        this.reset();
+        this.showWarning(null);
+    }
+
+    getSummary() {
+        const clipped = this.clippedFrames > 0;
+        const quiet = this.startTime > 0 && this.loudestDb < RecordingMonitor.QUIET_DB;
+        const warnings = [];
+        if (clipped) warnings.push('This take clipped (distorted). Move back from the mic or lower the input gain.');
+        if (quiet) warnings.push('This take is very quiet. Move closer to the mic or raise the input gain.');
+        return { clipped, quiet, warnings };
+    }
+
+    update(now) {
+        const frame = this.recorder.getAnalyserFloatData();
+        if (!frame) return;
+
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < frame.length; i++) {
+            const abs = Math.abs(frame[i]);
+            if (abs > peak) peak = abs;
+            sumSquares += frame[i] * frame[i];
+        }
+        const rmsDb = Math.max(RecordingMonitor.FLOOR_DB, 20 * Math.log10(Math.sqrt(sumSquares / frame.length) + 1e-10));
+
+        if (peak >= RecordingMonitor.CLIP_LEVEL) {
+            this.clippedFrames++;
+            this.lastClipAt = now;
+        }
+        this.loudestDb = Math.max(this.loudestDb, rmsDb);
+
+        // Too quiet: nothing in the last couple of seconds got above the threshold
+        this.recentLevels.push({ time: now, db: rmsDb });
+        while (this.recentLevels.length && now - this.recentLevels[0].time > RecordingMonitor.QUIET_WINDOW_MS) {
+            this.recentLevels.shift();
+        }
+        this.quiet = now - this.startTime > RecordingMonitor.GRACE_MS
+            && Math.max(...this.recentLevels.map(l => l.db)) < RecordingMonitor.QUIET_DB;
+
+        if (now - this.lastClipAt < 1500) {
+            this.showWarning('Clipping! Move back or lower the input gain.');
+        } else if (this.quiet) {
+            this.showWarning('Too quiet - speak up or move closer to the mic.');
+        } else {
+            this.showWarning(null);
+        }
+
+        // Fast attack, slow release so the meter is readable
+        this.displayDb = rmsDb > this.displayDb ? rmsDb : this.displayDb - 0.8;
+        this.setMeter(this.displayDb, peak >= RecordingMonitor.CLIP_LEVEL);
+        this.drawWaveform(frame);
+    }
+
+    setMeter(db, clipping = false) {
+        const meter = document.getElementById(this.ids.meter);
+        if (!meter) return;
+        const level = (db - RecordingMonitor.FLOOR_DB) / -RecordingMonitor.FLOOR_DB;
+        meter.style.setProperty('--level', Math.min(1, Math.max(0, level)).toFixed(3));
+        meter.classList.toggle('clipping', clipping);
+        meter.classList.toggle('quiet', this.quiet);
+    }
+
+    drawWaveform(frame) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = 'rgba(0, 113, 227, 0.35)';
+        ctx.lineWidth = window.devicePixelRatio;
+        ctx.beginPath();
+        for (let i = 0; i < frame.length; i++) {
+            const x = i / (frame.length - 1) * width;
+            const y = (1 - frame[i]) / 2 * height;
+            i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    }
+
+    showWarning(message) {
+        const el = document.getElementById(this.ids.warning);
+        if (!el) return;
+        el.hidden = !message;
+        el.textContent = message || '';
+    }
+}
+
+// Export
+window.RecordingMonitor = RecordingMonitor;
@@ -0,0 +1,129 @@
+/**
+ * Prompt Scheduler - SM-2 style spaced repetition over prompts, per accent
+ * Each scored attempt is a review graded by scores.overall. State is rebuilt from the
+ * practice history at startup, so it needs no storage of its own.
+ */
+
+class PromptScheduler {
+    constructor() {
+        this.cards = new Map();
+    }
+
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    // A failed prompt comes back within the same session instead of tomorrow
+    static RELEARN_MS = 10 * 60 * 1000;
+
+    /**
+     * Map an overall score (0-1) to an SM-2 grade (0-5); 3 and up counts as recalled
+     */
+    static grade(overall) {
+        if (overall >= 0.9) return 5;
+        if (overall >= 0.8) return 4;
+        if (overall >= 0.65) return 3;
+        if (overall >= 0.5) return 2;
+        if (overall >= 0.3) return 1;
+        return 0;
+    }
+
+    static key(accent, prompt) {
+        return `${accent}|${promptKey(prompt)}`;
+    }
+
+    /**
+     * Replay past attempts, oldest first
+     * @param {Array} attempts - History records { accent, prompt, scores, timestamp }
+     */
+    load(attempts) {
+        this.cards.clear();
+        [...attempts]
+            .filter(a => a.accent && a.prompt && a.scores && typeof a.scores.overall === 'number')
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(a => this.review(a.accent, a.prompt, a.scores.overall, a.timestamp));
+    }
+
+    reset() {
+        this.cards.clear();
+    }
+
+    getCard(accent, prompt) {
+        return this.cards.get(PromptScheduler.key(accent, prompt)) || null;
+    }
+
+    /**
+     * Grade one attempt and reschedule the prompt. Practicing a prompt before it is due
+     * only updates its score and easiness, so drilling a sentence several times in a row
+     * doesn't push it weeks out.
+     * @returns {object} - The card: { repetitions, interval (days), easiness, due, lastScore, reviews }
+     */
+    review(accent, prompt, overall, timestamp = Date.now()) {
+        const key = PromptScheduler.key(accent, prompt);
+        const card = this.cards.get(key) || { repetitions: 0, interval: 0, easiness: 2.5, due: timestamp, lastScore: null, reviews: 0 };
+        const grade = PromptScheduler.grade(overall);
+
+        card.easiness = Math.max(1.3, card.easiness + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+        card.lastScore = overall;
+        card.reviews++;
+
+        if (timestamp < card.due) {
+            // Early review: keep the schedule
+        } else if (grade >= 3) {
+            card.repetitions++;
+            if (card.repetitions === 1) card.interval = 1;
+            else if (card.repetitions === 2) card.interval = 6;
+            else card.interval = Math.round(card.interval * card.easiness);
+            card.due = timestamp + card.interval * PromptScheduler.DAY_MS;
+        } else {
+            card.repetitions = 0;
+            card.interval = 0;
+            card.due = timestamp + PromptScheduler.RELEARN_MS;
+        }
+
+        this.cards.set(key, card);
+        return card;
+    }
+
+    /**
+     * Pick what to practice next: due prompts first (weakest, then most overdue),
+     * then ones never practiced, then whichever comes due soonest.
+     * @param {string} accent
+     * @param {string[]} prompts - Candidate sentences
+     * @param {string} [current] - Prompt just practiced; skipped when there is another choice
+     */
+    pickNext(accent, prompts, current = null, now = Date.now()) {
+        const choices = prompts.length > 1 ? prompts.filter(p => p !== current) : prompts;
+        if (choices.length === 0) return null;
+
+        const cards = choices.map(prompt => ({ prompt, card: this.getCard(accent, prompt) }));
+
+        const due = cards.filter(({ card }) => card && card.due <= now)
+            .sort((a, b) => a.card.lastScore - b.card.lastScore || a.card.due - b.card.due);
+        if (due.length > 0) return due[0].prompt;
+
+        const fresh = cards.filter(({ card }) => !card);
+        if (fresh.length > 0) return fresh[Math.floor(Math.random() * fresh.length)].prompt;
+
+        return cards.sort((a, b) => a.card.due - b.card.due || a.card.lastScore - b.card.lastScore)[0].prompt;
+    }
+
+    /**
+     * How many of the prompts are due now, and how many were never practiced
+     */
+    getQueue(accent, prompts, now = Date.now()) {
+        let due = 0;
+        let fresh = 0;
+        prompts.forEach(prompt => {
+            const card = this.getCard(accent, prompt);
+            if (!card) fresh++;
+            else if (card.due <= now) due++;
+        });
+        return { due, fresh };
+    }
+}
+
+// Export (a global in the renderer; tests load this file as a Node module)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptScheduler;
+} else {
+    window.PromptScheduler = PromptScheduler;
+}
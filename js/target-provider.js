@@ -0,0 +1,67 @@
+/**
+ * Target Provider - Interface for anything that can supply target-accent audio
+ * PracticeManager only talks to this interface, so ElevenLabs and offline
+ * reference clips are interchangeable
+ */
+
+class TargetProvider {
+    constructor() {
+        // Whether speechToSpeech actually re-voices the user's take (vs. returning a fixed clip)
+        this.transformsVoice = false;
+    }
+
+    /**
+     * Can the provider serve targets right now (key set, folder chosen, ...)?
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Prompts this provider has targets for
+     * @param {string} targetAccent - Accent ID
+     * @returns {string[]|null} - null when any prompt text works
+     */
+    async listPrompts(targetAccent) {
+        return null;
+    }
+
+    /**
+     * Target for a prompt, spoken in the accent
+     * @param {string} text - Prompt text
+     * @param {string} targetAccent - Accent ID
+     * @returns {Blob} - Audio blob
+     */
+    async textToSpeechWithAccent(text, targetAccent) {
+        throw new Error(`${this.constructor.name} does not implement textToSpeechWithAccent`);
+    }
+
+    /**
+     * Target derived from the user's take
+     * @param {Blob} audioBlob - The user's recording
+     * @param {string} targetAccent - Accent ID
+     * @param {object} [context] - { text } of the prompt that was read
+     * @returns {Blob} - Audio blob
+     */
+    async speechToSpeech(audioBlob, targetAccent, context = {}) {
+        throw new Error(`${this.constructor.name} does not implement speechToSpeech`);
+    }
+
+    /**
+     * Warm up the target for a prompt that is likely to come next. Providers
+     * whose targets are cheap to load don't need to do anything.
+     * @param {string} text - Prompt text
+     * @param {string} targetAccent - Accent ID
+     */
+    async prefetch(text, targetAccent) {}
+
+    /**
+     * Generate practice prompt audio with target accent
+     */
+    async generatePracticeAudio(text, targetAccent) {
+        return await this.textToSpeechWithAccent(text, targetAccent);
+    }
+}
+
+// Export
+window.TargetProvider = TargetProvider;
@@ -0,0 +1,248 @@
+/**
+ * Voice Clone Onboarding - Guided paragraph recordings that become the user's cloned voice
+ *
+ * Events (subscribe with on(event, handler)):
+ *   'processing' - recordings accepted, cloning has started
+ *   'created'    { voiceId, voiceName, targetAccent, sampleAudio }
+ *   'error'      { error } - a processing step failed
+ */
+
+class VoiceCloneOnboarding {
+    constructor(recorder, elevenLabsAPI) {
+        this.recorder = recorder;
+        this.api = elevenLabsAPI;
+        this.targetAccent = null;
+        this.recordings = [];
+        this.current = 0;
+        this.isRecording = false;
+        this.isProcessing = false;
+        this.result = null;
+        this.monitor = new RecordingMonitor(recorder, {
+            waveform: 'waveform-container',
+            meter: 'clone-level-meter',
+            warning: 'clone-recording-warning'
+        });
+        this.listeners = {};
+    }
+
+    // Phonetically varied passages; together they give ElevenLabs about a minute of speech
+    static PARAGRAPHS = [
+        'The rainbow arched gracefully across the morning sky, its vibrant colors painting a bridge between the misty hills and the awakening village below. Children pointed excitedly while their parents smiled, remembering their own wonder at such natural beauty.',
+        'When the sunlight strikes raindrops in the air, they act as a prism and form a rainbow. The rainbow is a division of white light into many beautiful colors. These take the shape of a long round arch, with its path high above, and its two ends apparently beyond the horizon.',
+        'Please call Stella. Ask her to bring these things with her from the store: six spoons of fresh snow peas, five thick slabs of blue cheese, and maybe a snack for her brother Bob. We also need a small plastic snake and a big toy frog for the kids.',
+        'Would you like to join us for dinner on Thursday? We were thinking of trying that new place by the harbour. I hear the fish is excellent, although the queue can be rather long if you arrive after seven o\'clock.',
+        'Honestly, I never expected the journey to take so long. First the train was delayed, then the bus broke down, and by the time we finally reached the hotel, it was almost midnight. Still, the view from our window the next morning made it all worthwhile.'
+    ];
+
+    // Seconds per paragraph below which a take is rejected
+    static MIN_DURATION = 10;
+
+    static STEPS = ['upload', 'clone', 'accent'];
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+    }
+
+    emit(event, data) {
+        (this.listeners[event] || []).forEach(handler => handler(data));
+    }
+
+    /**
+     * Begin (or restart) the recording flow for an accent
+     */
+    start(targetAccent) {
+        this.targetAccent = targetAccent;
+        this.recordings = VoiceCloneOnboarding.PARAGRAPHS.map(() => null);
+        this.current = 0;
+        this.result = null;
+        this.renderParagraph();
+    }
+
+    renderParagraph() {
+        const total = VoiceCloneOnboarding.PARAGRAPHS.length;
+        const take = this.recordings[this.current];
+
+        document.getElementById('current-paragraph').textContent = this.current + 1;
+        document.getElementById('total-paragraphs').textContent = total;
+        document.getElementById('recording-progress').style.width = `${(this.current + 1) / total * 100}%`;
+        document.getElementById('prompt-text').textContent = VoiceCloneOnboarding.PARAGRAPHS[this.current];
+
+        document.getElementById('play-recording-btn').disabled = !take || this.isRecording;
+        document.getElementById('re-record-btn').disabled = !take || this.isRecording;
+        document.getElementById('next-paragraph-btn').disabled = !take || !take.quality.ok || this.isRecording;
+        document.getElementById('next-paragraph-btn').textContent =
+            this.current === total - 1 ? 'Create My Voice' : 'Next Paragraph';
+
+        this.renderQuality(take ? take.quality : null);
+    }
+
+    renderQuality(quality) {
+        const list = document.getElementById('recording-quality');
+        if (!quality) {
+            list.innerHTML = '';
+            return;
+        }
+
+        const items = quality.issues.length > 0
+            ? quality.issues
+            : [{ level: 'ok', message: `Good take (${quality.duration.toFixed(1)}s)` }];
+        list.innerHTML = items.map(issue =>
+            `<li class="quality-item" data-level="${issue.level}">${escapeHtml(issue.message)}</li>`
+        ).join('');
+    }
+
+    async toggleRecording() {
+        const btn = document.getElementById('record-btn');
+        const label = btn.querySelector('.record-label');
+
+        if (!this.isRecording) {
+            await this.recorder.initialize();
+            if (!await this.recorder.startRecording()) return;
+
+            this.isRecording = true;
+            this.recordings[this.current] = null;
+            btn.classList.add('recording');
+            label.textContent = 'Stop Recording';
+            this.renderParagraph();
+            this.monitor.start();
+            return;
+        }
+
+        const blob = await this.recorder.stopRecording();
+        this.isRecording = false;
+        // The quality check below reports on the finished take
+        this.monitor.clear();
+        btn.classList.remove('recording');
+        label.textContent = 'Start Recording';
+
+        if (blob && blob.size > 0) {
+            let quality;
+            try {
+                quality = await this.recorder.checkQuality(blob, { minDuration: VoiceCloneOnboarding.MIN_DURATION });
+            } catch (error) {
+                // An undecodable take can't be used for the clone either
+                console.error('Failed to check the take:', error);
+                quality = { ok: false, duration: 0, issues: [{ level: 'error', message: `This take couldn't be checked (${error.message}). Record it again.` }] };
+            }
+            this.recordings[this.current] = { blob, quality };
+        }
+        this.renderParagraph();
+    }
+
+    /**
+     * Leave the flow, discarding an in-progress take
+     */
+    async cancel() {
+        if (!this.isRecording) return;
+
+        await this.recorder.stopRecording();
+        this.isRecording = false;
+        this.monitor.clear();
+        this.recordings[this.current] = null;
+
+        const btn = document.getElementById('record-btn');
+        btn.classList.remove('recording');
+        btn.querySelector('.record-label').textContent = 'Start Recording';
+    }
+
+    playRecording() {
+        const take = this.recordings[this.current];
+        if (take) new Audio(URL.createObjectURL(take.blob)).play();
+    }
+
+    reRecord() {
+        this.recordings[this.current] = null;
+        this.renderParagraph();
+    }
+
+    async nextParagraph() {
+        if (this.current < VoiceCloneOnboarding.PARAGRAPHS.length - 1) {
+            this.current++;
+            this.renderParagraph();
+        } else {
+            await this.process();
+        }
+    }
+
+    /**
+     * Upload the takes, create the clone and render a sample in the target accent
+     */
+    async process() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+        this.result = null;
+        this.emit('processing');
+
+        VoiceCloneOnboarding.STEPS.forEach(step => this.setStep(step, 'pending'));
+        this.showActions(null);
+        let step = 'upload';
+
+        try {
+            // Consistent 16-bit WAV uploads clone more reliably than the raw webm takes
+            this.setStep('upload', 'active');
+            const files = [];
+            for (let i = 0; i < this.recordings.length; i++) {
+                this.setStatus(`Preparing recording ${i + 1} of ${this.recordings.length}...`);
+                files.push(await this.recorder.convertToWav(this.recordings[i].blob));
+            }
+
+            this.result = await this.api.createAccentVoice(files, this.targetAccent, (next) => {
+                this.setStep(step, 'complete');
+                step = next;
+                this.setStep(step, 'active');
+                this.setStatus(next === 'clone'
+                    ? 'Uploading recordings and creating your voice clone...'
+                    : `Generating your voice in ${this.api.getAccentName(this.targetAccent)}...`);
+            });
+
+            this.setStep(step, 'complete');
+            this.setStatus('Your voice is ready.');
+            this.showActions('done');
+            this.emit('created', this.result);
+        } catch (error) {
+            console.error('Voice cloning failed:', error);
+            this.setStep(step, 'failed');
+            this.setStatus(error.isAuthError ? error.message : `Something went wrong: ${error.message}`);
+            this.showActions('failed');
+            this.emit('error', { error });
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    playSample() {
+        if (this.result && this.result.sampleAudio) {
+            new Audio(URL.createObjectURL(this.result.sampleAudio)).play();
+        }
+    }
+
+    /**
+     * @param {string} state - pending | active | complete | failed
+     */
+    setStep(step, state) {
+        const icons = { pending: '⏳', active: '⏳', complete: '✓', failed: '✕' };
+        const el = document.getElementById(`step-${step}`);
+        el.classList.remove('active', 'complete', 'failed');
+        if (state !== 'pending') el.classList.add(state);
+        el.querySelector('.step-icon').textContent = icons[state];
+    }
+
+    setStatus(text) {
+        document.getElementById('processing-status').textContent = text;
+    }
+
+    /**
+     * @param {string|null} outcome - done | failed | null (hide both)
+     */
+    showActions(outcome) {
+        document.getElementById('clone-done-actions').hidden = outcome !== 'done';
+        document.getElementById('clone-failed-actions').hidden = outcome !== 'failed';
+    }
+}
+
+// Export
+window.VoiceCloneOnboarding = VoiceCloneOnboarding;
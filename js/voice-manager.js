@@ -0,0 +1,206 @@
+/**
+ * Voice Manager - Lists the voices MirrorAccent cloned and keeps the account tidy
+ * Rename, preview, pick the default used for "your own voice" targets, and delete.
+ */
+
+class VoiceManagerView {
+    /**
+     * @param {ElevenLabsAPI} elevenLabsAPI
+     * @param {object} options
+     * @param {function} options.getDefaultVoiceId - Current default clone ID (or null)
+     * @param {function} options.getCreatedVoiceIds - IDs of the clones this install created
+     * @param {function} options.onDefaultChange - Called with { voiceId, name, createdAt } or null
+     */
+    constructor(elevenLabsAPI, { getDefaultVoiceId, getCreatedVoiceIds, onDefaultChange }) {
+        this.api = elevenLabsAPI;
+        this.getDefaultVoiceId = getDefaultVoiceId;
+        this.getCreatedVoiceIds = getCreatedVoiceIds;
+        this.onDefaultChange = onDefaultChange;
+        this.voices = [];
+        this.previews = new Map();
+    }
+
+    static PREVIEW_TEXT = 'Hi, this is my MirrorAccent voice. How do I sound?';
+
+    // Clones younger than this are never offered for cleanup
+    static STALE_AFTER_MS = 60 * 60 * 1000;
+
+    async load() {
+        const list = document.getElementById('voice-list');
+        list.innerHTML = '<li class="empty-state">Loading voices...</li>';
+
+        try {
+            this.voices = await this.api.listClonedVoices();
+        } catch (error) {
+            console.error('Failed to list voices:', error);
+            list.innerHTML = `<li class="empty-state">Could not load voices: ${escapeHtml(error.message)}</li>`;
+            return;
+        }
+
+        // The saved default may have been deleted on another device or in the ElevenLabs dashboard
+        const defaultId = this.getDefaultVoiceId();
+        if (defaultId && !this.voices.some(v => v.voiceId === defaultId)) {
+            await this.onDefaultChange(null);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Clones this install created that are no longer the default - left behind each time
+     * the user re-records. Clones made elsewhere (another device, a teammate on a shared
+     * account) and recent ones are never offered.
+     */
+    getStaleVoices() {
+        const defaultId = this.getDefaultVoiceId();
+        const created = new Set(this.getCreatedVoiceIds());
+        const cutoff = Date.now() - VoiceManagerView.STALE_AFTER_MS;
+        return this.voices.filter(v => v.voiceId !== defaultId && created.has(v.voiceId)
+            && v.createdAt && v.createdAt < cutoff);
+    }
+
+    render() {
+        const list = document.getElementById('voice-list');
+        const defaultId = this.getDefaultVoiceId();
+        this.renderCleanupBanner();
+
+        if (this.voices.length === 0) {
+            list.innerHTML = '<li class="empty-state">No cloned voices yet. Record your voice from Settings to create one.</li>';
+            return;
+        }
+
+        list.innerHTML = this.voices.map(voice => `
+            <li class="voice-item" data-id="${escapeHtml(voice.voiceId)}">
+                <span class="voice-name">${escapeHtml(voice.name)}</span>
+                ${voice.voiceId === defaultId ? '<span class="voice-badge">Default</span>' : ''}
+                <span class="history-date">${voice.createdAt ? new Date(voice.createdAt).toLocaleDateString() : ''}</span>
+                <button class="btn btn-ghost" data-action="preview">Preview</button>
+                <button class="btn btn-ghost" data-action="rename">Rename</button>
+                ${voice.voiceId === defaultId ? '' : '<button class="btn btn-ghost" data-action="default">Make Default</button>'}
+                <button class="btn btn-ghost voice-delete" data-action="delete">Delete</button>
+            </li>`).join('');
+
+        list.querySelectorAll('.voice-item button').forEach(btn => {
+            const voice = this.voices.find(v => v.voiceId === btn.closest('.voice-item').dataset.id);
+            btn.addEventListener('click', () => this.handleAction(btn.dataset.action, voice, btn));
+        });
+    }
+
+    renderCleanupBanner() {
+        const stale = this.getStaleVoices();
+        const banner = document.getElementById('voice-cleanup');
+        banner.hidden = stale.length === 0;
+        document.getElementById('voice-cleanup-text').textContent = stale.length === 1
+            ? '1 older clone isn\'t being used.'
+            : `${stale.length} older clones aren't being used.`;
+    }
+
+    async handleAction(action, voice, btn) {
+        try {
+            if (action === 'preview') await this.preview(voice, btn);
+            if (action === 'rename') this.startRename(voice);
+            if (action === 'default') await this.setDefault(voice);
+            if (action === 'delete') await this.deleteVoice(voice);
+        } catch (error) {
+            console.error(`Voice ${action} failed:`, error);
+            if (!error.isAuthError) alert(`Could not ${action} the voice: ${error.message}`);
+        }
+    }
+
+    async preview(voice, btn) {
+        if (!this.previews.has(voice.voiceId)) {
+            btn.disabled = true;
+            btn.textContent = 'Loading...';
+            try {
+                this.previews.set(voice.voiceId, await this.api.textToSpeechWithVoice(VoiceManagerView.PREVIEW_TEXT, voice.voiceId));
+            } finally {
+                btn.disabled = false;
+                btn.textContent = 'Preview';
+            }
+        }
+        new Audio(URL.createObjectURL(this.previews.get(voice.voiceId))).play();
+    }
+
+    /**
+     * Swap the name for an input; Enter or leaving the field saves, Escape cancels
+     */
+    startRename(voice) {
+        const nameEl = document.querySelector(`.voice-item[data-id="${escapeHtml(voice.voiceId)}"] .voice-name`);
+        const input = document.createElement('input');
+        input.className = 'voice-name-input';
+        input.value = voice.name;
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            const name = input.value.trim();
+            if (save && name && name !== voice.name) {
+                try {
+                    await this.api.renameVoice(voice.voiceId, name);
+                    voice.name = name;
+                    if (voice.voiceId === this.getDefaultVoiceId()) await this.onDefaultChange(voice);
+                } catch (error) {
+                    console.error('Rename failed:', error);
+                    if (!error.isAuthError) alert(`Could not rename the voice: ${error.message}`);
+                }
+            }
+            this.render();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    async setDefault(voice) {
+        await this.onDefaultChange(voice);
+        this.render();
+    }
+
+    async deleteVoice(voice) {
+        if (!confirm(`Delete "${voice.name}" from your ElevenLabs account? This cannot be undone.`)) return;
+        await this.remove(voice);
+        this.render();
+    }
+
+    /**
+     * Delete the stale clones (see getStaleVoices), after the user confirms
+     * @returns {number} - How many were deleted
+     */
+    async cleanupStale() {
+        const stale = this.getStaleVoices();
+        if (stale.length === 0) return 0;
+        const names = stale.map(v => `- ${v.name}`).join('\n');
+        if (!confirm(`Delete ${stale.length} unused cloned voice(s) from your ElevenLabs account?\n\n${names}`)) return 0;
+
+        let deleted = 0;
+        for (const voice of stale) {
+            try {
+                await this.remove(voice);
+                deleted++;
+            } catch (error) {
+                console.error(`Failed to delete ${voice.name}:`, error);
+            }
+        }
+        this.render();
+        return deleted;
+    }
+
+    async remove(voice) {
+        await this.api.deleteVoice(voice.voiceId);
+        this.voices = this.voices.filter(v => v.voiceId !== voice.voiceId);
+        this.previews.delete(voice.voiceId);
+        if (voice.voiceId === this.getDefaultVoiceId()) {
+            await this.onDefaultChange(null);
+        }
+    }
+}
+
+// Export
+window.VoiceManagerView = VoiceManagerView;
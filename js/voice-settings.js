@@ -0,0 +1,169 @@
+/**
+ * Voice Settings Editor - Tune an accent's models and voice_settings with an A/B preview
+ * Profile A starts as the saved settings and B as a copy; either can be previewed on the
+ * same text and saved back to the accent.
+ */
+
+class VoiceSettingsEditor {
+    /**
+     * @param {ElevenLabsAPI} elevenLabsAPI
+     * @param {AccentCatalog} accentCatalog
+     */
+    constructor(elevenLabsAPI, accentCatalog) {
+        this.api = elevenLabsAPI;
+        this.accents = accentCatalog;
+        this.accentId = null;
+        this.profiles = {};
+        this.previews = new Map();
+        this.models = [];
+        this.onSave = null; // Called with the saved accent entry
+    }
+
+    static SLIDERS = [
+        { key: 'stability', label: 'Stability', hint: 'Lower is more expressive, higher more consistent' },
+        { key: 'similarity_boost', label: 'Similarity', hint: 'How closely to stick to the original voice' },
+        { key: 'style', label: 'Style', hint: 'Exaggerates the speaker\'s style - and accent' }
+    ];
+
+    /**
+     * @param {string} accentId - Accent to edit
+     * @param {string} sampleText - Text the previews speak
+     */
+    async open(accentId, sampleText) {
+        const accent = this.accents.get(accentId);
+        this.accentId = accentId;
+        this.previews.clear();
+
+        const profile = { modelId: accent.modelId, ...accent.voiceSettings };
+        this.profiles = { a: { ...profile }, b: { ...profile } };
+
+        document.getElementById('voice-settings-title').textContent = `Voice Settings - ${accent.name}`;
+        document.getElementById('voice-settings-text').value = sampleText;
+
+        try {
+            this.models = await this.api.getModels();
+        } catch (error) {
+            console.error('Failed to load models:', error);
+            this.models = [];
+        }
+
+        this.renderStsModels(accent.stsModelId);
+        this.render();
+    }
+
+    modelOptions(capability, selected, fallback) {
+        const ids = this.models.filter(m => m[capability]).map(m => m.model_id);
+        if (ids.length === 0) ids.push(fallback);
+        if (selected && !ids.includes(selected)) ids.push(selected);
+        return ids.map(id => `<option value="${escapeHtml(id)}" ${id === selected ? 'selected' : ''}>${escapeHtml(id)}</option>`).join('');
+    }
+
+    renderStsModels(selected) {
+        document.getElementById('voice-settings-sts-model').innerHTML =
+            this.modelOptions('can_do_voice_conversion', selected, ElevenLabsAPI.STS_MODEL);
+    }
+
+    render() {
+        const container = document.getElementById('voice-settings-profiles');
+        container.innerHTML = Object.entries(this.profiles).map(([key, profile]) => `
+            <div class="settings-profile" data-profile="${key}">
+                <h4>Profile ${key.toUpperCase()}${key === 'a' ? ' (saved)' : ''}</h4>
+                <label>Model
+                    <select class="form-select" data-field="modelId">
+                        ${this.modelOptions('can_do_text_to_speech', profile.modelId, ElevenLabsAPI.TTS_MODEL)}
+                    </select>
+                </label>
+                ${VoiceSettingsEditor.SLIDERS.map(({ key: field, label, hint }) => `
+                    <label title="${hint}">${label} <span class="slider-value">${profile[field].toFixed(2)}</span>
+                        <input type="range" min="0" max="1" step="0.05" value="${profile[field]}" data-field="${field}">
+                    </label>`).join('')}
+                <label class="checkbox-label">
+                    <input type="checkbox" data-field="use_speaker_boost" ${profile.use_speaker_boost ? 'checked' : ''}>
+                    Speaker boost
+                </label>
+                <div class="key-actions">
+                    <button class="btn btn-secondary" data-action="preview">Preview ${key.toUpperCase()}</button>
+                    <button class="btn btn-ghost" data-action="save">Save ${key.toUpperCase()}</button>
+                </div>
+            </div>`).join('');
+
+        container.querySelectorAll('.settings-profile').forEach(panel => {
+            const key = panel.dataset.profile;
+            panel.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('input', () => this.updateField(key, input));
+            });
+            panel.querySelector('[data-action="preview"]').addEventListener('click', (e) => this.preview(key, e.target));
+            panel.querySelector('[data-action="save"]').addEventListener('click', () => this.save(key));
+        });
+    }
+
+    updateField(key, input) {
+        const field = input.dataset.field;
+        if (input.type === 'range') {
+            this.profiles[key][field] = parseFloat(input.value);
+            input.parentElement.querySelector('.slider-value').textContent = parseFloat(input.value).toFixed(2);
+        } else if (input.type === 'checkbox') {
+            this.profiles[key][field] = input.checked;
+        } else {
+            this.profiles[key][field] = input.value;
+        }
+    }
+
+    /**
+     * Render the sample text with one profile. Renders are cached per text and settings
+     * so flipping between A and B doesn't spend credits twice.
+     */
+    async preview(key, btn) {
+        const accent = this.accents.get(this.accentId);
+        const text = document.getElementById('voice-settings-text').value.trim();
+        if (!text) return;
+
+        const { modelId, ...voiceSettings } = this.profiles[key];
+        const cacheKey = JSON.stringify([text, modelId, voiceSettings]);
+
+        if (!this.previews.has(cacheKey)) {
+            const label = btn.textContent;
+            btn.disabled = true;
+            btn.textContent = 'Rendering...';
+            try {
+                this.previews.set(cacheKey, await this.api.textToSpeechWithVoice(text, accent.voiceId, { modelId, voiceSettings }));
+            } catch (error) {
+                console.error('Preview failed:', error);
+                if (!error.isAuthError) alert('Could not render the preview: ' + error.message);
+                return;
+            } finally {
+                btn.disabled = false;
+                btn.textContent = label;
+            }
+        }
+
+        new Audio(URL.createObjectURL(this.previews.get(cacheKey))).play();
+    }
+
+    async save(key) {
+        const accent = this.accents.get(this.accentId);
+        const { modelId, ...voiceSettings } = this.profiles[key];
+
+        let saved;
+        try {
+            saved = await this.accents.save({
+                ...accent,
+                modelId,
+                stsModelId: document.getElementById('voice-settings-sts-model').value,
+                voiceSettings
+            });
+        } catch (error) {
+            console.error('Failed to save voice settings:', error);
+            alert(`Could not save the voice settings: ${error.message}`);
+            return;
+        }
+
+        // The saved profile becomes the new A
+        this.profiles.a = { ...this.profiles[key] };
+        this.render();
+        if (this.onSave) this.onSave(saved);
+    }
+}
+
+// Export
+window.VoiceSettingsEditor = VoiceSettingsEditor;
@@ -0,0 +1,319 @@
+/**
+ * Vowel Drill - Minimal-pair practice scored on vowel formants
+ * For each word of a pair the target is rendered in the accent, the user records it,
+ * and both vowel nuclei are plotted on an F1/F2 chart. Scores are kept per vowel.
+ */
+
+class VowelDrillView {
+    /**
+     * @param {AudioRecorder} recorder
+     * @param {ProsodyAnalyzer} prosodyAnalyzer
+     * @param {ProsodyCharts} charts
+     * @param {object} options
+     * @param {function} options.getProvider - Current TargetProvider for the word targets
+     */
+    constructor(recorder, prosodyAnalyzer, charts, { getProvider }) {
+        this.recorder = recorder;
+        this.prosody = prosodyAnalyzer;
+        this.charts = charts;
+        this.getProvider = getProvider;
+        this.allDrills = null;
+        this.drills = [];
+        this.drill = null;
+        this.accent = null;
+        this.pairIndex = 0;
+        this.takes = [{}, {}];
+        this.results = [];
+        this.recordingSide = null;
+    }
+
+    // Takes (over at least two vowels) before scores are normalized to each speaker's vowel space
+    static NORMALIZE_AFTER_TAKES = 6;
+
+    async load(accent) {
+        this.accent = accent;
+        if (!this.allDrills) {
+            this.allDrills = await window.electronAPI.getDrills();
+        }
+        this.drills = this.allDrills.filter(d => !d.accents || d.accents.includes(accent));
+        this.results = await window.electronAPI.getDrillResults({ accent });
+
+        document.getElementById('drill-select').innerHTML = this.drills.map(d =>
+            `<option value="${escapeHtml(d.id)}">${escapeHtml(d.name)} (/${d.vowels[0]}/ vs /${d.vowels[1]}/)</option>`
+        ).join('');
+        this.selectDrill(this.drills[0] ? this.drills[0].id : null);
+    }
+
+    selectDrill(id) {
+        this.drill = this.drills.find(d => d.id === id) || null;
+        this.pairIndex = 0;
+        this.resetPair();
+        this.renderProgress();
+    }
+
+    nextPair() {
+        if (!this.drill) return;
+        this.pairIndex = (this.pairIndex + 1) % this.drill.pairs.length;
+        this.resetPair();
+    }
+
+    resetPair() {
+        this.takes = [{}, {}];
+        this.setStatus('');
+        this.renderPair();
+        this.renderChart();
+    }
+
+    renderPair() {
+        const container = document.getElementById('drill-pair');
+        if (!this.drill) {
+            container.innerHTML = '<p class="empty-state">No drills for this accent yet.</p>';
+            return;
+        }
+
+        const pair = this.drill.pairs[this.pairIndex];
+        document.getElementById('drill-pair-count').textContent = `Pair ${this.pairIndex + 1} of ${this.drill.pairs.length}`;
+
+        container.innerHTML = pair.map((word, side) => {
+            const take = this.takes[side];
+            const score = take.score !== undefined ? `${Math.round(take.score * 100)}%` : '--';
+            return `
+                <div class="drill-word" data-side="${side}">
+                    <span class="drill-word-text">${escapeHtml(word)}</span>
+                    <span class="drill-vowel">/${this.drill.vowels[side]}/</span>
+                    <span class="stat-value">${score}</span>
+                    <div class="key-actions">
+                        <button class="btn btn-secondary" data-action="listen">Listen</button>
+                        <button class="btn btn-primary ${this.recordingSide === side ? 'recording' : ''}" data-action="record">
+                            ${this.recordingSide === side ? 'Stop' : 'Record'}
+                        </button>
+                    </div>
+                </div>`;
+        }).join('');
+
+        container.querySelectorAll('.drill-word').forEach(card => {
+            const side = Number(card.dataset.side);
+            card.querySelector('[data-action="listen"]').addEventListener('click', (e) => this.listen(side, e.target));
+            card.querySelector('[data-action="record"]').addEventListener('click', () => this.toggleRecording(side));
+        });
+    }
+
+    /**
+     * Target vowel for one word of the pair, fetched once per pair
+     */
+    async getTarget(side) {
+        const take = this.takes[side];
+        if (!take.target) {
+            const word = this.drill.pairs[this.pairIndex][side];
+            const blob = await this.getProvider().textToSpeechWithAccent(word, this.accent);
+            const nucleus = this.prosody.vowelNucleus(await this.prosody.analyzeAudio(blob));
+            take.target = { blob, nucleus };
+        }
+        return take.target;
+    }
+
+    async listen(side, btn) {
+        const label = btn.textContent;
+        btn.disabled = true;
+        btn.textContent = 'Loading...';
+        try {
+            const target = await this.getTarget(side);
+            new Audio(URL.createObjectURL(target.blob)).play();
+            this.renderChart();
+        } catch (error) {
+            console.error('Failed to load drill target:', error);
+            this.setStatus(`Could not load the target: ${error.message}`);
+        } finally {
+            btn.disabled = false;
+            btn.textContent = label;
+        }
+    }
+
+    async toggleRecording(side) {
+        if (this.recordingSide === null) {
+            try {
+                await this.recorder.initialize();
+                if (!await this.recorder.startRecording()) return;
+            } catch (error) {
+                console.error('Failed to start drill recording:', error);
+                this.setStatus(`Could not start recording: ${error.message}`);
+                return;
+            }
+            this.recordingSide = side;
+            this.setStatus(`Say "${this.drill.pairs[this.pairIndex][side]}"`);
+            this.renderPair();
+            return;
+        }
+        if (this.recordingSide !== side) return;
+
+        let blob;
+        try {
+            blob = await this.recorder.stopRecording();
+        } catch (error) {
+            console.error('Failed to stop drill recording:', error);
+            this.setStatus(`Could not finish the recording: ${error.message}`);
+            return;
+        } finally {
+            this.recordingSide = null;
+            this.renderPair();
+        }
+        if (blob && blob.size > 0) {
+            await this.scoreTake(side, blob);
+        }
+    }
+
+    /**
+     * Leave the drill, discarding an in-progress take
+     */
+    async cancel() {
+        if (this.recordingSide !== null) {
+            this.recordingSide = null;
+            await this.recorder.stopRecording().catch(error => console.error('Failed to stop drill recording:', error));
+        }
+    }
+
+    async scoreTake(side, blob) {
+        const word = this.drill.pairs[this.pairIndex][side];
+        const vowel = this.drill.vowels[side];
+        this.setStatus('Analyzing...');
+
+        try {
+            const nucleus = this.prosody.vowelNucleus(await this.prosody.analyzeAudio(blob));
+            if (!nucleus) {
+                this.setStatus(`No clear vowel found. Say "${word}" again, a little louder and longer.`);
+                return;
+            }
+            const target = await this.getTarget(side);
+            if (!target.nucleus) {
+                this.setStatus('The target clip has no measurable vowel, so this take can\'t be scored.');
+                return;
+            }
+
+            const take = this.takes[side];
+            const spaces = this.vowelSpaces({ vowel, user: nucleus, target: target.nucleus });
+            take.user = { blob, nucleus };
+            take.score = this.prosody.compareVowel(target.nucleus, nucleus, spaces);
+            this.setStatus(this.describeOffset(this.prosody.vowelOffset(target.nucleus, nucleus, spaces), vowel));
+
+            const result = await window.electronAPI.addDrillResult({
+                accent: this.accent,
+                drill: this.drill.id,
+                word,
+                vowel,
+                score: take.score,
+                user: { f1: nucleus.f1, f2: nucleus.f2 },
+                target: { f1: target.nucleus.f1, f2: target.nucleus.f2 }
+            });
+            this.results.push(result);
+        } catch (error) {
+            console.error('Failed to score drill take:', error);
+            this.setStatus(`Could not score the take: ${error.message}`);
+            return;
+        }
+
+        this.renderPair();
+        this.renderChart();
+        this.renderProgress();
+    }
+
+    /**
+     * The user's and the accent voice's vowel spaces over every drill take for this accent
+     * plus the current one, or null until there are enough takes to estimate them
+     */
+    vowelSpaces(current) {
+        const takes = [...this.results, current];
+        if (takes.length < VowelDrillView.NORMALIZE_AFTER_TAKES) return null;
+        if (new Set(takes.map(t => t.vowel)).size < 2) return null;
+        return {
+            user: this.prosody.vowelSpace(takes.map(t => t.user)),
+            target: this.prosody.vowelSpace(takes.map(t => t.target))
+        };
+    }
+
+    /**
+     * Articulatory hint from the formant offset: F1 tracks jaw opening, F2 tongue frontness
+     * @param {object} offset - From ProsodyAnalyzer.vowelOffset
+     */
+    describeOffset(offset, vowel) {
+        const hints = [];
+        const threshold = offset.range * 0.2;
+        if (offset.f1 > threshold) hints.push('close your mouth a little more');
+        if (offset.f1 < -threshold) hints.push('open your mouth a little more');
+        if (offset.f2 > threshold) hints.push('pull your tongue further back');
+        if (offset.f2 < -threshold) hints.push('push your tongue further forward');
+        const text = hints.length > 0
+            ? `For /${vowel}/, ${hints.join(' and ')}.`
+            : `Your /${vowel}/ is close to the target.`;
+        return offset.normalized
+            ? text
+            : `${text} (Scores adjust to your voice after a few more words.)`;
+    }
+
+    renderChart() {
+        const sets = [];
+        this.takes.forEach((take, side) => {
+            const vowel = this.drill ? this.drill.vowels[side] : '';
+            if (take.target && take.target.nucleus) {
+                sets.push({ points: take.target.nucleus.points, color: this.charts.colors.target, label: vowel });
+            }
+            if (take.user) {
+                sets.push({ points: take.user.nucleus.points, color: this.charts.colors.user, label: `you: ${vowel}` });
+            }
+        });
+        this.charts.vowelChart(document.getElementById('drill-vowel-chart'), sets);
+    }
+
+    /**
+     * Per-vowel accuracy by day for the vowels in the current drill
+     */
+    renderProgress() {
+        const container = document.getElementById('drill-progress');
+        const vowels = this.drill ? this.drill.vowels : [];
+        const byVowel = vowels.map(vowel => ({ vowel, results: this.results.filter(r => r.vowel === vowel) }));
+
+        if (byVowel.every(v => v.results.length === 0)) {
+            container.innerHTML = '<p class="empty-state">Record a word to start tracking these vowels.</p>';
+            return;
+        }
+
+        container.innerHTML = byVowel.map(({ vowel, results }) => {
+            const average = results.length
+                ? `${Math.round(results.reduce((sum, r) => sum + r.score, 0) / results.length * 100)}%` : '--';
+            return `
+                <div class="trend-card">
+                    <div class="metric-header">
+                        <span class="metric-name">/${escapeHtml(vowel)}/</span>
+                        <span class="metric-value">${average} over ${results.length} takes</span>
+                    </div>
+                    <div class="trend-chart" data-vowel="${escapeHtml(vowel)}"></div>
+                </div>`;
+        }).join('');
+
+        container.querySelectorAll('.trend-chart').forEach(chart => {
+            const { results } = byVowel.find(v => v.vowel === chart.dataset.vowel);
+            if (results.length > 0) this.charts.trendChart(chart, this.byDay(results));
+        });
+    }
+
+    byDay(results) {
+        const days = new Map();
+        results.forEach(r => {
+            const day = new Date(r.timestamp);
+            day.setHours(0, 0, 0, 0);
+            if (!days.has(day.getTime())) days.set(day.getTime(), []);
+            days.get(day.getTime()).push(r.score);
+        });
+        return [...days.entries()].sort((a, b) => a[0] - b[0]).map(([start, scores]) => ({
+            label: new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+            value: scores.reduce((a, b) => a + b, 0) / scores.length,
+            count: scores.length
+        }));
+    }
+
+    setStatus(text) {
+        document.getElementById('drill-status').textContent = text;
+    }
+}
+
+// Export
+window.VowelDrillView = VowelDrillView;
@@ -0,0 +1,234 @@
+/**
+ * Word Aligner - Lightweight local forced alignment of the prompt onto a take
+ * There is no acoustic model: each word gets a share of the speech span in proportion
+ * to its syllable count, and the boundaries are then snapped to nearby dips in the
+ * intensity envelope (the gaps between syllable nuclei). Good enough to say which
+ * word was off, not for phoneme timing.
+ */
+
+class WordAligner {
+    /**
+     * @param {ProsodyAnalyzer} prosodyAnalyzer
+     */
+    constructor(prosodyAnalyzer) {
+        this.prosody = prosodyAnalyzer;
+    }
+
+    // Frames quieter than this below the peak are treated as silence
+    static SPEECH_FLOOR_DB = 25;
+
+    // A dip must be this much lower than the loudest frame around it to count as a boundary
+    static MIN_VALLEY_DB = 3;
+
+    // Word scores below this are worth pointing out
+    static FLAG_BELOW = 0.75;
+
+    /**
+     * Rough syllable count from spelling: vowel groups (Latin, Cyrillic and Greek, accents
+     * ignored; an English silent final e dropped), plus one per Han, kana or Hangul character
+     */
+    static countSyllables(word) {
+        const syllabic = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+        const lower = word.toLowerCase();
+        const characters = (lower.match(syllabic) || []).length;
+        const letters = lower.replace(syllabic, '').replace(/[^\p{L}\p{M}]/gu, '');
+        if (!letters) return Math.max(1, characters);
+        if (letters.length <= 3) return 1 + characters;
+
+        // Strip accents (й is a consonant, so it mustn't turn into и)
+        const w = letters.replace(/й/g, 'j').normalize('NFD').replace(/\p{M}/gu, '');
+        const trimmed = /^[a-z]+$/.test(letters)
+            ? w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, m => m[0]).replace(/^y/, '')
+            : w;
+        const groups = trimmed.match(/[aeiouyæøœаеиоуыэюяіαεηιουω]+/g);
+        return Math.max(1, groups ? groups.length : 1) + characters;
+    }
+
+    /**
+     * Words of the prompt, with punctuation stripped for display
+     */
+    static tokenize(text) {
+        return text.split(/\s+/)
+            .map(token => token.replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * Map each word of the text onto a time range of the take
+     * @returns {object} - { words: [{ word, syllables, start, end }], speech: { start, end } },
+     *                     ranges are null when no speech was found
+     */
+    align(text, features) {
+        const tokens = WordAligner.tokenize(text);
+        const syllables = tokens.map(WordAligner.countSyllables);
+        const { times, values } = features.intensity;
+        const smoothed = this.prosody.movingAverage(values, 5);
+        const hop = times.length > 1 ? times[1] - times[0] : 0.01;
+
+        const peak = Math.max(...smoothed);
+        const speechFrames = smoothed.map((v, i) => v >= peak - WordAligner.SPEECH_FLOOR_DB ? i : -1).filter(i => i >= 0);
+        if (tokens.length === 0 || speechFrames.length === 0) {
+            return { words: tokens.map((word, i) => ({ word, syllables: syllables[i], start: null, end: null })), speech: null };
+        }
+
+        const first = speechFrames[0];
+        const last = speechFrames[speechFrames.length - 1];
+        const total = syllables.reduce((a, b) => a + b, 0);
+        const frameSpan = last - first;
+        const syllableFrames = frameSpan / total;
+        const valleys = this.findValleys(smoothed, first, last);
+
+        // Proportional split, each interior boundary snapped to the deepest nearby valley
+        const boundaries = [first];
+        let cumulative = 0;
+        for (let k = 0; k < tokens.length - 1; k++) {
+            cumulative += syllables[k];
+            const guess = first + frameSpan * cumulative / total;
+            const window = Math.max(15, syllableFrames * 0.6);
+            const minFrame = boundaries[boundaries.length - 1] + 3;
+
+            let best = null;
+            let bestScore = -Infinity;
+            valleys.forEach(({ index, depth }) => {
+                const distance = Math.abs(index - guess);
+                if (index <= minFrame || index >= last - 3 || distance > window) return;
+                const score = depth - 6 * distance / window;
+                if (score > bestScore) {
+                    bestScore = score;
+                    best = index;
+                }
+            });
+            // More words than the take has room for share its last frame rather than run past it
+            boundaries.push(Math.min(last + 1, best !== null ? best : Math.max(minFrame, Math.round(guess))));
+        }
+        boundaries.push(last + 1);
+
+        const time = (frame) => frame < times.length ? times[frame] : times[times.length - 1] + hop;
+        return {
+            words: tokens.map((word, i) => ({
+                word,
+                syllables: syllables[i],
+                start: time(boundaries[i]),
+                end: time(boundaries[i + 1])
+            })),
+            speech: { start: time(first), end: time(last + 1) }
+        };
+    }
+
+    /**
+     * Local minima of the envelope with their depth below the surrounding peaks (dB)
+     */
+    findValleys(smoothed, first, last) {
+        const valleys = [];
+        for (let i = first + 1; i < last; i++) {
+            if (smoothed[i] > smoothed[i - 1] || smoothed[i] > smoothed[i + 1]) continue;
+            const around = smoothed.slice(Math.max(first, i - 15), Math.min(last + 1, i + 16));
+            const depth = Math.max(...around) - smoothed[i];
+            if (depth >= WordAligner.MIN_VALLEY_DB) valleys.push({ index: i, depth });
+        }
+        return valleys;
+    }
+
+    /**
+     * Align the prompt on both takes and score each word on pitch, duration and stress.
+     * Each is measured relative to its own utterance (semitones from the speaker's median
+     * F0, share of the speaking time, dB above the speaker's mean level), so a different
+     * voice or mic gain doesn't count as a mismatch.
+     * @returns {object} - { words: [{ word, target, user, pitch, duration, stress, score, issue }], flagged: [index] }
+     */
+    compareWords(text, targetFeatures, userFeatures) {
+        const target = this.align(text, targetFeatures);
+        const user = this.align(text, userFeatures);
+        if (!target.speech || !user.speech) {
+            return { words: [], flagged: [] };
+        }
+
+        const targetStats = this.utteranceStats(targetFeatures, target.speech);
+        const userStats = this.utteranceStats(userFeatures, user.speech);
+
+        const words = target.words.map((tw, i) => {
+            const uw = user.words[i];
+            const t = this.wordMeasures(targetFeatures, targetStats, tw);
+            const u = this.wordMeasures(userFeatures, userStats, uw);
+
+            const pitchDiff = t.semitones !== null && u.semitones !== null ? u.semitones - t.semitones : null;
+            const durationRatio = u.share / t.share;
+            const stressDiff = u.level - t.level;
+
+            const scores = {
+                pitch: pitchDiff !== null ? Math.max(0, 1 - Math.abs(pitchDiff) / 6) : null,
+                duration: Math.min(durationRatio, 1 / durationRatio),
+                stress: Math.max(0, 1 - Math.abs(stressDiff) / 10)
+            };
+            const available = Object.values(scores).filter(v => v !== null);
+
+            return {
+                word: tw.word,
+                target: { start: tw.start, end: tw.end },
+                user: { start: uw.start, end: uw.end },
+                pitch: pitchDiff,
+                duration: durationRatio,
+                stress: stressDiff,
+                score: available.reduce((a, b) => a + b, 0) / available.length,
+                issue: this.describeIssue(scores, { pitchDiff, durationRatio, stressDiff })
+            };
+        });
+
+        const flagged = words
+            .map((w, i) => ({ i, score: w.score }))
+            .filter(w => w.score < WordAligner.FLAG_BELOW)
+            .sort((a, b) => a.score - b.score)
+            .slice(0, 3)
+            .map(w => w.i);
+
+        return { words, flagged };
+    }
+
+    utteranceStats(features, speech) {
+        const inSpeech = (i) => features.intensity.times[i] >= speech.start && features.intensity.times[i] < speech.end;
+        const voiced = features.f0.values.filter((v, i) => v > 0 && inSpeech(i));
+        const levels = features.intensity.values.filter((v, i) => inSpeech(i));
+        return {
+            medianF0: voiced.length > 0 ? this.prosody.median(voiced) : null,
+            meanLevel: this.prosody.mean(levels),
+            duration: speech.end - speech.start
+        };
+    }
+
+    wordMeasures(features, stats, word) {
+        const frames = [];
+        features.intensity.times.forEach((t, i) => {
+            if (t >= word.start && t < word.end) frames.push(i);
+        });
+        const voiced = frames.map(i => features.f0.values[i]).filter(v => v > 0);
+
+        return {
+            semitones: voiced.length > 0 && stats.medianF0
+                ? 12 * Math.log2(this.prosody.median(voiced) / stats.medianF0) : null,
+            share: Math.max(1e-3, (word.end - word.start) / stats.duration),
+            level: frames.length > 0 ? this.prosody.mean(frames.map(i => features.intensity.values[i])) - stats.meanLevel : 0
+        };
+    }
+
+    /**
+     * The word's weakest dimension in plain words
+     */
+    describeIssue(scores, { pitchDiff, durationRatio, stressDiff }) {
+        const worst = Object.entries(scores)
+            .filter(([, v]) => v !== null)
+            .sort((a, b) => a[1] - b[1])[0];
+        if (!worst) return null;
+
+        const [metric] = worst;
+        if (metric === 'pitch') {
+            return `pitch ${pitchDiff > 0 ? 'higher' : 'lower'} than the target by ${Math.abs(pitchDiff).toFixed(1)} semitones`;
+        }
+        if (metric === 'duration') {
+            return durationRatio > 1 ? 'held too long' : 'rushed';
+        }
+        return stressDiff > 0 ? 'stressed more than the target' : 'not stressed enough';
+    }
+}
+
+// Export
+window.WordAligner = WordAligner;
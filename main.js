@@ -1,8 +1,68 @@
-const { app, BrowserWindow, ipcMain, session } = require('electron');
+const { app, BrowserWindow, ipcMain, session, dialog, shell } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const JsonStore = require('./main/json-store');
+const HistoryStore = require('./main/history-store');
+const DrillStore = require('./main/drill-store');
+const AudioCache = require('./main/audio-cache');
+const ApiKeyStore = require('./main/api-key-store');
+const AccentRegistry = require('./main/accent-registry');
+const { PromptLibrary } = require('./main/prompt-library');
+const { scanReferenceFolder, readReferenceClip } = require('./main/reference-library');
+const { CONNECTION_DEFAULTS, resolveConnection, fetchWithRetry } = require('./main/elevenlabs-client');
+const { buildMultipartBody } = require('./main/multipart');
 
 let mainWindow;
 
+// Persistent stores under userData
+const settingsStore = new JsonStore(path.join(app.getPath('userData'), 'settings.json'), {
+    keepHistoryAudio: true,
+    targetProvider: 'elevenlabs',
+    referenceFolder: null,
+    clonedVoice: null,
+    useClonedVoice: true,
+    skipVoiceClone: false,
+    autoCleanupClones: false,
+    createdVoiceIds: [], // Clones made by this install; the only ones offered for cleanup
+    activeDeck: null,
+    audioDeviceId: null,
+    audioCacheMaxMb: 200,
+    capture: {}, // Defaults live in AudioRecorder.CAPTURE_DEFAULTS; loadCaptureSettings merges them in
+    ...CONNECTION_DEFAULTS
+});
+
+// Settings the renderer may change through update-settings; referenceFolder is only
+// ever set from the folder picker in choose-reference-folder
+const RENDERER_SETTINGS = new Set([
+    'keepHistoryAudio',
+    'targetProvider',
+    'clonedVoice',
+    'useClonedVoice',
+    'skipVoiceClone',
+    'autoCleanupClones',
+    'createdVoiceIds',
+    'activeDeck',
+    'audioDeviceId',
+    'audioCacheMaxMb',
+    'capture',
+    ...Object.keys(CONNECTION_DEFAULTS)
+]);
+
+const historyStore = new HistoryStore(path.join(app.getPath('userData'), 'history'));
+const drillStore = new DrillStore(path.join(app.getPath('userData'), 'history', 'drills.json'));
+const audioCache = new AudioCache(path.join(app.getPath('userData'), 'audio-cache'), {
+    maxBytes: settingsStore.get().audioCacheMaxMb * 1024 * 1024
+});
+const apiKeyStore = new ApiKeyStore(path.join(app.getPath('userData'), 'api-key.bin'));
+const accentRegistry = new AccentRegistry(
+    path.join(app.getPath('userData'), 'accents.json'),
+    path.join(__dirname, 'data', 'accents.json')
+);
+const promptLibrary = new PromptLibrary(
+    path.join(app.getPath('userData'), 'prompts.json'),
+    path.join(__dirname, 'data', 'prompts.json')
+);
+
 function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1200,
@@ -31,6 +91,8 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+    // safeStorage can only decrypt once the app is ready
+    apiKeyStore.load();
     createWindow();
 
     app.on('activate', () => {
@@ -46,83 +108,246 @@ app.on('window-all-closed', () => {
     }
 });
 
-// Store API key securely in memory
-let apiKey = null;
+// App settings
+ipcMain.handle('get-settings', () => {
+    return settingsStore.get();
+});
+
+ipcMain.handle('update-settings', async (event, patch) => {
+    const rejected = Object.keys(patch || {}).filter(key => !RENDERER_SETTINGS.has(key));
+    if (!patch || typeof patch !== 'object' || rejected.length > 0) {
+        throw new Error(`These settings can't be changed here: ${rejected.join(', ') || 'invalid patch'}`);
+    }
+    const settings = await settingsStore.update(patch);
+    if ('audioCacheMaxMb' in patch) {
+        await audioCache.setMaxBytes(settings.audioCacheMaxMb * 1024 * 1024);
+    }
+    return settings;
+});
+
+ipcMain.handle('get-connection', () => {
+    return resolveConnection(settingsStore.get());
+});
+
+// Practice history
+ipcMain.handle('history-add', (event, { attempt, audio }) => {
+    return historyStore.addAttempt(attempt, audio);
+});
+
+ipcMain.handle('history-list', (event, filter) => {
+    return historyStore.list(filter);
+});
+
+ipcMain.handle('history-audio', (event, { id, which }) => {
+    return historyStore.getAudio(id, which);
+});
+
+ipcMain.handle('history-clear', async () => {
+    await historyStore.clear();
+    await drillStore.clear();
+});
+
+// Generated target audio cache
+ipcMain.handle('audio-cache-stats', () => {
+    return audioCache.stats();
+});
+
+ipcMain.handle('audio-cache-clear', async () => {
+    await audioCache.clear();
+    return audioCache.stats();
+});
+
+// Minimal-pair vowel drills
+ipcMain.handle('drills-list', async () => {
+    const { drills } = JSON.parse(await fs.promises.readFile(path.join(__dirname, 'data', 'minimal-pairs.json'), 'utf8'));
+    return drills;
+});
+
+ipcMain.handle('drill-results-add', (event, result) => {
+    return drillStore.add(result);
+});
+
+ipcMain.handle('drill-results-list', (event, filter) => {
+    return drillStore.list(filter);
+});
+
+// Offline reference clips (folder comes from settings so the renderer can't read arbitrary paths)
+ipcMain.handle('choose-reference-folder', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Choose reference audio folder',
+        properties: ['openDirectory']
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+        return null;
+    }
+    await settingsStore.update({ referenceFolder: result.filePaths[0] });
+    return result.filePaths[0];
+});
+
+ipcMain.handle('reference-index', () => {
+    const { referenceFolder } = settingsStore.get();
+    if (!referenceFolder) {
+        throw new Error('No reference folder selected');
+    }
+    return scanReferenceFolder(referenceFolder);
+});
+
+ipcMain.handle('reference-read', (event, file) => {
+    const { referenceFolder } = settingsStore.get();
+    if (!referenceFolder) {
+        throw new Error('No reference folder selected');
+    }
+    return readReferenceClip(referenceFolder, file);
+});
+
+// Accent catalog; error says why the user's accents.json was passed over for the bundled one
+ipcMain.handle('accents-list', () => {
+    const accents = accentRegistry.list();
+    return { accents, error: accentRegistry.loadError };
+});
+
+ipcMain.handle('accents-save', (event, accent) => {
+    return accentRegistry.save(accent);
+});
 
+ipcMain.handle('accents-remove', (event, id) => {
+    return accentRegistry.remove(id);
+});
+
+// Open accents.json in the user's editor, writing the defaults out first if needed
+ipcMain.handle('accents-open-file', async () => {
+    if (!fs.existsSync(accentRegistry.filePath)) {
+        await accentRegistry.store.save();
+    }
+    const error = await shell.openPath(accentRegistry.filePath);
+    if (error) {
+        throw new Error(error);
+    }
+});
+
+// Prompt library
+ipcMain.handle('prompts-list', () => {
+    return promptLibrary.list();
+});
+
+// Each chosen file is imported into its own deck; a bad file doesn't stop the others
+ipcMain.handle('prompts-import', async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import prompts',
+        properties: ['openFile', 'multiSelections'],
+        filters: [{ name: 'Prompt lists', extensions: ['txt', 'csv', 'json'] }]
+    });
+    if (result.canceled) {
+        return [];
+    }
+
+    const imports = [];
+    for (const filePath of result.filePaths) {
+        try {
+            imports.push({ file: path.basename(filePath), ...await promptLibrary.importFile(filePath) });
+        } catch (error) {
+            imports.push({ file: path.basename(filePath), error: error.message });
+        }
+    }
+    return imports;
+});
+
+ipcMain.handle('prompts-update', (event, { id, tags }) => {
+    return promptLibrary.updatePrompt(id, tags);
+});
+
+ipcMain.handle('prompts-remove', (event, ids) => {
+    return promptLibrary.removePrompts(ids);
+});
+
+ipcMain.handle('decks-save', (event, deck) => {
+    return promptLibrary.saveDeck(deck);
+});
+
+ipcMain.handle('decks-remove', async (event, id) => {
+    await promptLibrary.removeDeck(id);
+    if (settingsStore.get().activeDeck === id) {
+        await settingsStore.update({ activeDeck: null });
+    }
+});
+
+// API key - encrypted at rest, never handed back to the renderer
 ipcMain.handle('set-api-key', (event, key) => {
-    apiKey = key;
-    return { success: true };
+    return apiKeyStore.set(key);
+});
+
+ipcMain.handle('get-api-key-status', () => {
+    return apiKeyStore.getStatus();
 });
 
-ipcMain.handle('get-api-key', () => {
-    return apiKey;
+ipcMain.handle('clear-api-key', () => {
+    return apiKeyStore.clear();
+});
+
+// Check a key (the saved one by default) against a cheap read-only endpoint
+ipcMain.handle('validate-api-key', async (event, key) => {
+    const candidate = key || apiKeyStore.get();
+    if (!candidate) {
+        return { valid: false, status: null, message: 'No API key set' };
+    }
+
+    const connection = resolveConnection(settingsStore.get());
+    try {
+        const response = await fetchWithRetry(`${connection.apiBaseUrl}/v1/models`, {
+            headers: { 'xi-api-key': candidate }
+        }, connection);
+        if (response.ok) {
+            return { valid: true, status: response.status, message: 'Key verified' };
+        }
+        const detail = await response.text();
+        return { valid: false, status: response.status, message: `ElevenLabs rejected the key (${response.status}): ${detail}` };
+    } catch (error) {
+        return { valid: false, status: null, message: error.message };
+    }
 });
 
 // ElevenLabs API calls
-ipcMain.handle('elevenlabs-request', async (event, { endpoint, method, body, isFormData, audioData, audioType, voiceSettings }) => {
+// Either a JSON `body` or a `multipart` upload: { fields: { name: value }, files: [{ field, data, type, filename }] }
+// Audio requests that pass `cache: { accent }` are answered from the audio cache when possible
+ipcMain.handle('elevenlabs-request', async (event, { endpoint, method, body, multipart, cache }) => {
+    const apiKey = apiKeyStore.get();
     if (!apiKey) {
-        throw new Error('API key not set');
+        throw new Error('API Error: 401 - API key not set');
     }
 
     try {
+        const connection = resolveConnection(settingsStore.get());
+        const cacheKey = cache
+            ? AudioCache.requestKey({ accent: cache.accent, apiBaseUrl: connection.apiBaseUrl, endpoint, body, multipart })
+            : null;
+        if (cacheKey) {
+            const hit = await audioCache.get(cacheKey);
+            if (hit) {
+                return { audio: hit.data.toString('base64'), type: hit.type, cached: true };
+            }
+        }
+
         let fetchBody;
         let headers = {
             'xi-api-key': apiKey
         };
 
-        if (isFormData && audioData) {
-            // Build multipart form data manually
-            const boundary = '----FormBoundary' + Math.random().toString(36).slice(2);
-            headers['Content-Type'] = `multipart/form-data; boundary=${boundary}`;
-
-            // Convert array back to Buffer
-            const audioBuffer = Buffer.from(audioData);
-            const ext = audioType.includes('webm') ? 'webm' : 'wav';
-            const mimeType = audioType || 'audio/webm';
-
-            // Build multipart body
-            let bodyParts = [];
-
-            // Audio file part
-            bodyParts.push(`--${boundary}`);
-            bodyParts.push(`Content-Disposition: form-data; name="audio"; filename="input.${ext}"`);
-            bodyParts.push(`Content-Type: ${mimeType}`);
-            bodyParts.push('');
-
-            // Add voice settings
-            let textParts = [];
-            if (voiceSettings) {
-                textParts.push(`--${boundary}`);
-                textParts.push('Content-Disposition: form-data; name="model_id"');
-                textParts.push('');
-                textParts.push(voiceSettings.model_id);
-
-                textParts.push(`--${boundary}`);
-                textParts.push('Content-Disposition: form-data; name="voice_settings"');
-                textParts.push('');
-                textParts.push(voiceSettings.voice_settings);
-            }
-
-            textParts.push(`--${boundary}--`);
-
-            // Combine text parts with audio
-            const beforeAudio = Buffer.from(bodyParts.join('\r\n') + '\r\n');
-            const afterAudio = Buffer.from('\r\n' + textParts.join('\r\n'));
-
-            fetchBody = Buffer.concat([beforeAudio, audioBuffer, afterAudio]);
-
-        } else if (!isFormData && body) {
+        if (multipart) {
+            const form = buildMultipartBody(multipart);
+            headers['Content-Type'] = form.contentType;
+            fetchBody = form.body;
+        } else if (body) {
             headers['Content-Type'] = 'application/json';
             fetchBody = JSON.stringify(body);
         }
 
-        console.log('Making API request to:', endpoint);
+        console.log('Making API request to:', connection.apiBaseUrl + endpoint);
 
-        const response = await fetch(`https://api.elevenlabs.io${endpoint}`, {
+        const response = await fetchWithRetry(`${connection.apiBaseUrl}${endpoint}`, {
             method,
             headers,
             body: fetchBody
-        });
+        }, connection);
 
         if (!response.ok) {
             const error = await response.text();
@@ -135,9 +360,14 @@ ipcMain.handle('elevenlabs-request', async (event, { endpoint, method, body, isF
             return await response.json();
         } else {
             // Return audio as base64
-            const buffer = await response.arrayBuffer();
+            const buffer = Buffer.from(await response.arrayBuffer());
             console.log('Received audio response, size:', buffer.byteLength);
-            return { audio: Buffer.from(buffer).toString('base64') };
+            if (cacheKey) {
+                // A full disk shouldn't cost the user the audio they just paid for
+                await audioCache.put(cacheKey, { data: buffer, type: contentType || 'audio/mpeg' }, { accent: cache.accent })
+                    .catch(error => console.error('Failed to cache audio:', error.message));
+            }
+            return { audio: buffer.toString('base64'), type: contentType || 'audio/mpeg' };
         }
     } catch (error) {
         console.error('Request failed:', error.message);
@@ -0,0 +1,108 @@
+/**
+ * Accent Registry - The accents offered for practice, kept as editable JSON under userData
+ * Seeded from data/accents.json on first run; hand edits to the file are picked up on the next read.
+ */
+
+const fs = require('fs');
+const JsonStore = require('./json-store');
+
+const ENTRY_DEFAULTS = {
+    modelId: 'eleven_multilingual_v2',
+    stsModelId: 'eleven_english_sts_v2',
+    voiceSettings: { stability: 0.5, similarity_boost: 0.75, style: 0.4, use_speaker_boost: true },
+    flag: '🗣️',
+    description: ''
+};
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'accent';
+}
+
+class AccentRegistry {
+    /**
+     * @param {string} filePath - User's accents.json
+     * @param {string} defaultsPath - Bundled catalog used until the user has one
+     */
+    constructor(filePath, defaultsPath) {
+        const { accents } = JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+        this.store = new JsonStore(filePath, { accents }, {
+            validate: data => {
+                if (!Array.isArray(data.accents)) throw new Error('"accents" must be a list');
+            }
+        });
+    }
+
+    /**
+     * Why the user's file couldn't be read at the last load (the bundled catalog is listed meanwhile), or null
+     */
+    get loadError() {
+        const error = this.store.loadError;
+        return error ? `${this.filePath} couldn't be read (${error.message}). Fix or delete it; a copy is in ${this.store.backupPath}.` : null;
+    }
+
+    /**
+     * Entries missing an ID, name or voice are skipped; other missing fields get defaults
+     */
+    list() {
+        return this.store.load().accents
+            .filter(entry => entry && entry.id && entry.name && entry.voiceId)
+            .map(entry => this.normalize(entry));
+    }
+
+    normalize(entry) {
+        const set = Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null));
+        return {
+            ...ENTRY_DEFAULTS,
+            ...set,
+            voiceSettings: { ...ENTRY_DEFAULTS.voiceSettings, ...entry.voiceSettings }
+        };
+    }
+
+    /**
+     * Add an accent, or update the one with the same ID
+     * @param {object} accent - Registry entry; a new entry without an ID gets one from its name
+     * @returns {object} - The saved entry
+     */
+    async save(accent) {
+        if (!accent.name || !accent.voiceId) {
+            throw new Error('An accent needs a name and a voice');
+        }
+
+        const accents = this.loadForWrite().accents;
+        let entry;
+        if (accent.id && accents.some(a => a.id === accent.id)) {
+            entry = Object.assign(accents.find(a => a.id === accent.id), accent);
+        } else {
+            const base = slugify(accent.id || accent.name);
+            let id = base;
+            for (let n = 2; accents.some(a => a.id === id); n++) id = `${base}-${n}`;
+            entry = { ...accent, id };
+            accents.push(entry);
+        }
+
+        await this.store.save();
+        return this.normalize(entry);
+    }
+
+    async remove(id) {
+        const data = this.loadForWrite();
+        data.accents = data.accents.filter(a => a.id !== id);
+        await this.store.save();
+    }
+
+    /**
+     * Saving over a file the user is still fixing would replace their edits with the defaults
+     */
+    loadForWrite() {
+        const data = this.store.load();
+        const error = this.loadError;
+        if (error) throw new Error(error);
+        return data;
+    }
+
+    get filePath() {
+        return this.store.filePath;
+    }
+}
+
+module.exports = AccentRegistry;
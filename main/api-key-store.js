@@ -0,0 +1,71 @@
+/**
+ * API Key Store - Keeps the ElevenLabs key encrypted at rest with Electron safeStorage
+ * Falls back to memory only (never plaintext on disk) when OS encryption is unavailable
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { safeStorage } = require('electron');
+
+class ApiKeyStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.apiKey = null;
+        this.persisted = false;
+    }
+
+    /**
+     * Decrypt the saved key, if any. Call after the app is ready.
+     */
+    load() {
+        try {
+            const encrypted = fs.readFileSync(this.filePath);
+            this.apiKey = safeStorage.decryptString(encrypted);
+            this.persisted = true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load saved API key:', error.message);
+            }
+            this.apiKey = null;
+            this.persisted = false;
+        }
+        return this.apiKey;
+    }
+
+    get() {
+        return this.apiKey;
+    }
+
+    async set(apiKey) {
+        this.apiKey = apiKey;
+        this.persisted = false;
+
+        if (!safeStorage.isEncryptionAvailable()) {
+            console.warn('OS encryption unavailable - API key kept for this session only');
+            await fs.promises.rm(this.filePath, { force: true });
+            return this.getStatus();
+        }
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, safeStorage.encryptString(apiKey));
+        this.persisted = true;
+        return this.getStatus();
+    }
+
+    async clear() {
+        this.apiKey = null;
+        this.persisted = false;
+        await fs.promises.rm(this.filePath, { force: true });
+        return this.getStatus();
+    }
+
+    getStatus() {
+        return {
+            hasKey: Boolean(this.apiKey),
+            persisted: this.persisted,
+            encryptionAvailable: safeStorage.isEncryptionAvailable()
+        };
+    }
+}
+
+module.exports = ApiKeyStore;
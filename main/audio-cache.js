@@ -0,0 +1,147 @@
+/**
+ * Audio Cache - Generated target audio kept on disk, addressed by what produced it
+ * The key hashes everything that changes the output (accent, endpoint and voice, model,
+ * voice settings, the text or the uploaded audio), so a hit is always the same clip
+ * ElevenLabs would return. Least recently used clips go first once over the size limit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+
+class AudioCache {
+    /**
+     * @param {string} dir - Folder for the clips and their index
+     * @param {object} [options] - { maxBytes }
+     */
+    constructor(dir, { maxBytes = 200 * 1024 * 1024 } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.store = new JsonStore(path.join(dir, 'index.json'), { entries: {} });
+    }
+
+    /**
+     * Cache key for an ElevenLabs request
+     * @param {object} request - { accent, apiBaseUrl, endpoint, body, multipart }
+     */
+    static requestKey({ accent, apiBaseUrl, endpoint, body, multipart }) {
+        const parts = {
+            accent: accent || null,
+            apiBaseUrl,
+            endpoint,
+            fields: body || (multipart && multipart.fields) || {},
+            inputs: ((multipart && multipart.files) || []).map(file => AudioCache.hash(Buffer.from(file.data)))
+        };
+        return AudioCache.hash(AudioCache.stableStringify(parts));
+    }
+
+    static hash(data) {
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    /**
+     * JSON with sorted object keys, so equal settings always hash the same
+     */
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(AudioCache.stableStringify).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .map(key => `${JSON.stringify(key)}:${AudioCache.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * @returns {object|null} - { data (Buffer), type }
+     */
+    async get(key) {
+        const entries = this.store.get().entries;
+        const entry = entries[key];
+        if (!entry) return null;
+
+        let data;
+        try {
+            data = await fs.promises.readFile(path.join(this.dir, entry.file));
+        } catch (error) {
+            // Deleted behind our back; forget it
+            delete entries[key];
+            await this.store.save();
+            return null;
+        }
+
+        entry.lastUsed = Date.now();
+        await this.store.save();
+        return { data, type: entry.type };
+    }
+
+    /**
+     * @param {string} key
+     * @param {object} clip - { data (Buffer), type }
+     * @param {object} [meta] - Kept with the entry, e.g. { accent }
+     */
+    async put(key, { data, type }, meta = {}) {
+        const file = `${key}.${this.extensionFor(type)}`;
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, file), data);
+
+        const now = Date.now();
+        this.store.get().entries[key] = { file, type, size: data.length, createdAt: now, lastUsed: now, ...meta };
+        await this.evict();
+    }
+
+    async setMaxBytes(maxBytes) {
+        this.maxBytes = maxBytes;
+        await this.evict();
+    }
+
+    /**
+     * Drop least recently used clips until the cache fits its limit
+     */
+    async evict() {
+        const entries = this.store.get().entries;
+        const byAge = Object.entries(entries).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+        let total = byAge.reduce((sum, [, entry]) => sum + entry.size, 0);
+
+        for (const [key, entry] of byAge) {
+            if (total <= this.maxBytes) break;
+            await fs.promises.rm(path.join(this.dir, entry.file), { force: true });
+            delete entries[key];
+            total -= entry.size;
+        }
+        await this.store.save();
+    }
+
+    /**
+     * @returns {object} - { entries, bytes, maxBytes }
+     */
+    stats() {
+        const entries = Object.values(this.store.get().entries);
+        return {
+            entries: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            maxBytes: this.maxBytes
+        };
+    }
+
+    async clear() {
+        const entries = this.store.get().entries;
+        for (const entry of Object.values(entries)) {
+            await fs.promises.rm(path.join(this.dir, entry.file), { force: true });
+        }
+        this.store.get().entries = {};
+        await this.store.save();
+    }
+
+    extensionFor(mimeType = '') {
+        if (mimeType.includes('mpeg')) return 'mp3';
+        if (mimeType.includes('wav')) return 'wav';
+        if (mimeType.includes('ogg')) return 'ogg';
+        if (mimeType.includes('webm')) return 'webm';
+        return 'bin';
+    }
+}
+
+module.exports = AudioCache;
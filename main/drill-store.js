@@ -0,0 +1,45 @@
+/**
+ * Drill Store - Minimal-pair drill results, one record per recorded word
+ * Kept apart from the practice history so word takes don't skew sentence scores
+ */
+
+const JsonStore = require('./json-store');
+
+class DrillStore {
+    constructor(filePath) {
+        this.store = new JsonStore(filePath, { results: [] });
+    }
+
+    /**
+     * @param {object} result - { accent, drill, word, vowel, score, user: { f1, f2 }, target: { f1, f2 } }
+     */
+    async add(result) {
+        const record = {
+            accent: result.accent,
+            drill: result.drill,
+            word: result.word,
+            vowel: result.vowel,
+            score: result.score,
+            user: result.user,
+            target: result.target,
+            timestamp: result.timestamp || Date.now()
+        };
+        this.store.get().results.push(record);
+        await this.store.save();
+        return record;
+    }
+
+    /**
+     * @param {object} [filter] - { accent }
+     */
+    list(filter = {}) {
+        return this.store.get().results.filter(r => !filter.accent || r.accent === filter.accent);
+    }
+
+    async clear() {
+        this.store.get().results = [];
+        await this.store.save();
+    }
+}
+
+module.exports = DrillStore;
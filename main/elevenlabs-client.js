@@ -0,0 +1,88 @@
+/**
+ * ElevenLabs Client - Where and how the main process talks to ElevenLabs
+ * Base URL, timeout and retries come from settings, overridable per launch with
+ * ELEVENLABS_BASE_URL / ELEVENLABS_TIMEOUT_MS / ELEVENLABS_MAX_RETRIES
+ * (e.g. to point the app at mock/elevenlabs-mock-server.js)
+ */
+
+const CONNECTION_DEFAULTS = {
+    apiBaseUrl: 'https://api.elevenlabs.io',
+    requestTimeoutMs: 60000,
+    maxRetries: 2
+};
+
+const ENV_OVERRIDES = {
+    apiBaseUrl: 'ELEVENLABS_BASE_URL',
+    requestTimeoutMs: 'ELEVENLABS_TIMEOUT_MS',
+    maxRetries: 'ELEVENLABS_MAX_RETRIES'
+};
+
+// Rate limits and server-side hiccups are worth another try; other errors are not
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+// Safe to send twice. A POST may have been carried out even though its response was
+// lost (a second voice clone, a second bill for TTS), so it is only retried on 429 or
+// when the connection failed before anything was sent.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+const NOT_SENT_ERRORS = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Effective connection settings
+ * @returns {object} - { apiBaseUrl, requestTimeoutMs, maxRetries, overridden: [setting names from env] }
+ */
+function resolveConnection(settings, env = process.env) {
+    const connection = { overridden: [] };
+
+    for (const [key, envName] of Object.entries(ENV_OVERRIDES)) {
+        let value = settings[key] ?? CONNECTION_DEFAULTS[key];
+        if (env[envName]) {
+            value = env[envName];
+            connection.overridden.push(key);
+        }
+        connection[key] = value;
+    }
+
+    connection.apiBaseUrl = String(connection.apiBaseUrl).replace(/\/+$/, '');
+    connection.requestTimeoutMs = Math.max(1000, Number(connection.requestTimeoutMs) || CONNECTION_DEFAULTS.requestTimeoutMs);
+    connection.maxRetries = Math.max(0, Math.floor(Number(connection.maxRetries) || 0));
+    return connection;
+}
+
+/**
+ * fetch() with a per-attempt timeout and exponential backoff on network errors,
+ * timeouts and retryable statuses. Non-retryable responses are returned as-is.
+ * @param {object} options - Connection settings, plus `idempotent` to override the
+ *     guess from the method (see IDEMPOTENT_METHODS)
+ */
+async function fetchWithRetry(url, init, { requestTimeoutMs, maxRetries, idempotent }) {
+    const retryAll = idempotent ?? IDEMPOTENT_METHODS.has((init.method || 'GET').toUpperCase());
+
+    for (let attempt = 0; ; attempt++) {
+        let delay = 500 * 2 ** attempt;
+
+        try {
+            const response = await fetch(url, { ...init, signal: AbortSignal.timeout(requestTimeoutMs) });
+            const retryable = retryAll ? RETRYABLE_STATUS.has(response.status) : response.status === 429;
+            if (!retryable || attempt >= maxRetries) {
+                return response;
+            }
+
+            const retryAfter = Number(response.headers.get('retry-after'));
+            if (retryAfter > 0) delay = retryAfter * 1000;
+            console.warn(`ElevenLabs returned ${response.status}, retrying in ${delay}ms`);
+        } catch (error) {
+            const timedOut = error.name === 'TimeoutError';
+            const notSent = NOT_SENT_ERRORS.has(error.cause?.code);
+            if (attempt >= maxRetries || !(retryAll || notSent)) {
+                throw timedOut
+                    ? new Error(`Request timed out after ${requestTimeoutMs / 1000}s`)
+                    : new Error(`Could not reach ${new URL(url).origin}: ${error.cause?.message || error.message}`);
+            }
+            console.warn(`Request ${timedOut ? 'timed out' : 'failed'}, retrying in ${delay}ms`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+module.exports = { CONNECTION_DEFAULTS, resolveConnection, fetchWithRetry };
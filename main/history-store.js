@@ -0,0 +1,89 @@
+/**
+ * History Store - Practice attempts persisted across restarts
+ * Attempts live in history.json; optional audio takes are stored as files alongside
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonStore = require('./json-store');
+
+class HistoryStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.audioDir = path.join(dir, 'audio');
+        // An unreadable history.json is kept as history.json.bak before a fresh history is started
+        this.store = new JsonStore(path.join(dir, 'history.json'), { attempts: [] }, {
+            validate: data => {
+                if (!Array.isArray(data.attempts)) throw new Error('"attempts" must be a list');
+            }
+        });
+    }
+
+    /**
+     * Record one attempt
+     * @param {object} attempt - { accent, prompt, mode, scores, timestamp }
+     * @param {object} [audio] - { user: { data, type }, target: { data, type } } (data is a Uint8Array)
+     */
+    async addAttempt(attempt, audio = {}) {
+        const id = crypto.randomUUID();
+        const record = {
+            id,
+            accent: attempt.accent,
+            prompt: attempt.prompt,
+            mode: attempt.mode,
+            scores: attempt.scores,
+            timestamp: attempt.timestamp || Date.now(),
+            audio: {}
+        };
+
+        for (const which of ['user', 'target']) {
+            const clip = audio[which];
+            if (!clip || !clip.data) continue;
+
+            const fileName = `${id}-${which}.${this.extensionFor(clip.type)}`;
+            await fs.promises.mkdir(this.audioDir, { recursive: true });
+            await fs.promises.writeFile(path.join(this.audioDir, fileName), Buffer.from(clip.data));
+            record.audio[which] = { file: fileName, type: clip.type };
+        }
+
+        this.store.get().attempts.push(record);
+        await this.store.save();
+        return record;
+    }
+
+    /**
+     * @param {object} [filter] - { accent, since (ms timestamp) }
+     */
+    list(filter = {}) {
+        return this.store.get().attempts.filter(a =>
+            (!filter.accent || a.accent === filter.accent) &&
+            (!filter.since || a.timestamp >= filter.since)
+        );
+    }
+
+    async getAudio(id, which) {
+        const record = this.store.get().attempts.find(a => a.id === id);
+        const clip = record && record.audio[which];
+        if (!clip) return null;
+
+        const data = await fs.promises.readFile(path.join(this.audioDir, clip.file));
+        return { data: new Uint8Array(data), type: clip.type };
+    }
+
+    async clear() {
+        this.store.get().attempts = [];
+        await this.store.save();
+        await fs.promises.rm(this.audioDir, { recursive: true, force: true });
+    }
+
+    extensionFor(mimeType = '') {
+        if (mimeType.includes('webm')) return 'webm';
+        if (mimeType.includes('mpeg')) return 'mp3';
+        if (mimeType.includes('wav')) return 'wav';
+        if (mimeType.includes('ogg')) return 'ogg';
+        return 'bin';
+    }
+}
+
+module.exports = HistoryStore;
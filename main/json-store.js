@@ -0,0 +1,92 @@
+/**
+ * JSON Store - Small JSON file persisted under the app's userData folder
+ * Reads are synchronous at startup; writes are serialized and atomic (tmp + rename)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+    /**
+     * @param {string} filePath
+     * @param {object} [defaults] - Used when the file is missing or unreadable
+     * @param {object} [options] - { validate(data) } throws if the parsed file has the wrong shape
+     */
+    constructor(filePath, defaults = {}, { validate } = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.validate = validate;
+        this.data = null;
+        this.loadError = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load from disk, falling back to defaults if the file is missing or corrupt.
+     * A corrupt file is copied to <file>.bak first and the reason kept in loadError,
+     * so the next save can't silently replace it.
+     */
+    load() {
+        this.loadError = null;
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new Error('expected a JSON object');
+            }
+            if (this.validate) this.validate(parsed);
+            this.data = { ...structuredClone(this.defaults), ...parsed };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.loadError = error;
+                this.backUp();
+                console.error(`Failed to read ${this.filePath}, using defaults:`, error.message);
+            }
+            this.data = structuredClone(this.defaults);
+        }
+        return this.data;
+    }
+
+    get backupPath() {
+        return `${this.filePath}.bak`;
+    }
+
+    backUp() {
+        try {
+            fs.copyFileSync(this.filePath, this.backupPath);
+        } catch (error) {
+            console.error(`Failed to back up ${this.filePath}:`, error.message);
+        }
+    }
+
+    get() {
+        if (!this.data) this.load();
+        return this.data;
+    }
+
+    /**
+     * Shallow-merge a patch and persist
+     */
+    async update(patch) {
+        Object.assign(this.get(), patch);
+        await this.save();
+        return this.data;
+    }
+
+    async save() {
+        const snapshot = JSON.stringify(this.get(), null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.writeFile(tmpPath, snapshot);
+                await fs.promises.rename(tmpPath, this.filePath);
+            });
+
+        return this.writeQueue;
+    }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,78 @@
+/**
+ * Multipart - Builds multipart/form-data bodies from plain, IPC-safe descriptions
+ * The renderer can't send a FormData across IPC, so uploads arrive as
+ * { fields, files } and are encoded here.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const EXTENSIONS = {
+    'audio/webm': 'webm',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/mpeg': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a'
+};
+
+/**
+ * Keep a header parameter on one line and inside its quotes
+ */
+function quoteParam(value) {
+    return String(value).replace(/[\r\n"]/g, '_');
+}
+
+/**
+ * @param {object} form
+ * @param {object} [form.fields] - { name: value }; arrays repeat the field, objects are sent as JSON
+ * @param {object[]} [form.files] - [{ field, data: Uint8Array, type, filename }]; an extension
+ *   matching `type` is added to filenames without one
+ * @returns {object} - { body: Buffer, contentType }
+ */
+function buildMultipartBody({ fields = {}, files = [] }) {
+    const boundary = `----MirrorAccent${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [];
+
+    for (const [name, value] of Object.entries(fields)) {
+        const values = Array.isArray(value) ? value : [value];
+        for (const item of values) {
+            if (item === undefined || item === null) continue;
+            const text = typeof item === 'object' ? JSON.stringify(item) : String(item);
+            parts.push(Buffer.from(
+                `--${boundary}\r\n` +
+                `Content-Disposition: form-data; name="${quoteParam(name)}"\r\n\r\n` +
+                `${text}\r\n`
+            ));
+        }
+    }
+
+    for (const file of files) {
+        if (!file.field || !file.data) {
+            throw new Error('Multipart files need a field name and data');
+        }
+        const type = (file.type || 'application/octet-stream').replace(/[\r\n]/g, '');
+        // Servers sniff the format from the extension, so make sure there is one that matches the type
+        let filename = file.filename || file.field;
+        if (!path.extname(filename)) {
+            filename += `.${EXTENSIONS[type.split(';')[0].trim()] || 'bin'}`;
+        }
+
+        parts.push(Buffer.from(
+            `--${boundary}\r\n` +
+            `Content-Disposition: form-data; name="${quoteParam(file.field)}"; filename="${quoteParam(filename)}"\r\n` +
+            `Content-Type: ${type}\r\n\r\n`
+        ));
+        parts.push(Buffer.from(file.data));
+        parts.push(Buffer.from('\r\n'));
+    }
+
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+        body: Buffer.concat(parts),
+        contentType: `multipart/form-data; boundary=${boundary}`
+    };
+}
+
+module.exports = { buildMultipartBody };
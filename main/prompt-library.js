@@ -0,0 +1,269 @@
+/**
+ * Prompt Library - Practice sentences with tags, imported lists and named decks
+ * Seeded from data/prompts.json; imports from .txt, .csv and .json files are merged in,
+ * skipping sentences already in the library.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('./json-store');
+const promptKey = require('../js/prompt-key');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Stable ID from the sentence, so the same sentence imported twice is one prompt
+ */
+function promptId(text) {
+    return crypto.createHash('sha1').update(promptKey(text)).digest('hex').slice(0, 12);
+}
+
+function splitPhonemes(value) {
+    if (Array.isArray(value)) return value.map(String).map(p => p.trim()).filter(Boolean);
+    return String(value || '').split(/[\s,;|/]+/).filter(Boolean);
+}
+
+/**
+ * Clean up one imported row; returns null if there is no sentence
+ */
+function toPrompt(row) {
+    const text = String(row.text || '').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    const difficulty = String(row.difficulty || '').trim().toLowerCase();
+    return {
+        text,
+        topic: String(row.topic || '').trim() || null,
+        difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : null,
+        phonemes: splitPhonemes(row.phonemes)
+    };
+}
+
+/**
+ * RFC 4180-style rows: quoted fields may contain the delimiter, quotes ("") and newlines
+ */
+function parseCsvRows(content, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(r => r.some(f => f.trim()));
+}
+
+/**
+ * A header row naming a "text" column maps columns by name; without one the first
+ * column is the sentence and the rest are topic, difficulty and phonemes.
+ */
+function parseCsv(content) {
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+    const rows = parseCsvRows(content, delimiter);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(h => h.trim().toLowerCase());
+    const columns = header.includes('text')
+        ? header
+        : ['text', 'topic', 'difficulty', 'phonemes'];
+    const body = header.includes('text') ? rows.slice(1) : rows;
+
+    return body.map(cells => Object.fromEntries(columns.map((name, i) => [name, cells[i]])));
+}
+
+/**
+ * Accepts an array of strings or objects, or { prompts: [...] } (a library export)
+ */
+function parseJson(content) {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : data && data.prompts;
+    if (!Array.isArray(items)) {
+        throw new Error('Expected a JSON array of prompts or { "prompts": [...] }');
+    }
+    return items.map(item => typeof item === 'string' ? { text: item } : item || {});
+}
+
+/**
+ * One sentence per line; blank lines and lines starting with # are skipped
+ */
+function parseText(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(text => ({ text }));
+}
+
+/**
+ * @param {string} fileName - Used for its extension
+ * @param {string} content - File contents
+ * @returns {Array<{text, topic, difficulty, phonemes}>}
+ */
+function parsePromptFile(fileName, content) {
+    const ext = path.extname(fileName).toLowerCase();
+    const text = content.replace(/^\uFEFF/, '');
+    let rows;
+    if (ext === '.json') rows = parseJson(text);
+    else if (ext === '.csv') rows = parseCsv(text);
+    else if (ext === '.txt') rows = parseText(text);
+    else throw new Error(`Unsupported prompt file type: ${ext || fileName}`);
+
+    return rows.map(toPrompt).filter(Boolean);
+}
+
+class PromptLibrary {
+    /**
+     * @param {string} filePath - User's prompts.json
+     * @param {string} defaultsPath - Built-in prompts used until the user has a library
+     */
+    constructor(filePath, defaultsPath) {
+        const defaults = JSON.parse(fs.readFileSync(defaultsPath, 'utf8'));
+        this.store = new JsonStore(filePath, {
+            prompts: defaults.prompts.map(toPrompt).filter(Boolean)
+                .map(p => ({ ...p, id: promptId(p.text), source: 'built-in' })),
+            decks: defaults.decks || []
+        });
+    }
+
+    list() {
+        const { prompts, decks } = this.store.get();
+        return { prompts, decks };
+    }
+
+    /**
+     * Merge a prompt file into the library and collect its sentences in a deck named after the file
+     * @returns {object} - { added, skipped, deck }
+     */
+    async importFile(filePath) {
+        const parsed = parsePromptFile(filePath, await fs.promises.readFile(filePath, 'utf8'));
+        if (parsed.length === 0) {
+            throw new Error('No prompts found in the file');
+        }
+
+        const data = this.store.get();
+        const source = path.basename(filePath);
+        const promptIds = [];
+        let added = 0;
+
+        for (const prompt of parsed) {
+            // Matched by text, since IDs saved by older versions were keyed differently
+            const key = promptKey(prompt.text);
+            const existing = data.prompts.find(p => promptKey(p.text) === key);
+            const id = existing ? existing.id : promptId(prompt.text);
+            if (existing) {
+                // Fill in tags the library copy is missing, but never overwrite the user's own
+                if (!existing.topic) existing.topic = prompt.topic;
+                if (!existing.difficulty) existing.difficulty = prompt.difficulty;
+                if (existing.phonemes.length === 0) existing.phonemes = prompt.phonemes;
+            } else {
+                data.prompts.push({ ...prompt, id, source });
+                added++;
+            }
+            if (!promptIds.includes(id)) promptIds.push(id);
+        }
+
+        const deck = this.createDeck(path.basename(filePath, path.extname(filePath)), promptIds);
+        await this.store.save();
+        return { added, skipped: parsed.length - added, deck };
+    }
+
+    createDeck(name, promptIds) {
+        const deck = { id: crypto.randomUUID(), name: this.uniqueDeckName(name), promptIds };
+        this.store.get().decks.push(deck);
+        return deck;
+    }
+
+    uniqueDeckName(name) {
+        const taken = new Set(this.store.get().decks.map(d => d.name));
+        let unique = name;
+        for (let n = 2; taken.has(unique); n++) unique = `${name} (${n})`;
+        return unique;
+    }
+
+    /**
+     * Create a deck, or rename / refill the one with the same ID
+     */
+    async saveDeck({ id, name, promptIds }) {
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('A deck needs a name');
+        }
+
+        const data = this.store.get();
+        const known = new Set(data.prompts.map(p => p.id));
+        const ids = [...new Set(promptIds || [])].filter(promptId => known.has(promptId));
+        let deck = id && data.decks.find(d => d.id === id);
+
+        if (deck) {
+            deck.name = name;
+            deck.promptIds = ids;
+        } else {
+            deck = this.createDeck(name, ids);
+        }
+        await this.store.save();
+        return deck;
+    }
+
+    async removeDeck(id) {
+        const data = this.store.get();
+        data.decks = data.decks.filter(d => d.id !== id);
+        await this.store.save();
+    }
+
+    /**
+     * Change a prompt's tags; the text is its identity and stays as is
+     */
+    async updatePrompt(id, { topic, difficulty, phonemes }) {
+        const prompt = this.store.get().prompts.find(p => p.id === id);
+        if (!prompt) {
+            throw new Error('Prompt not found');
+        }
+        const tags = toPrompt({ text: prompt.text, topic, difficulty, phonemes });
+        Object.assign(prompt, { topic: tags.topic, difficulty: tags.difficulty, phonemes: tags.phonemes });
+        await this.store.save();
+        return prompt;
+    }
+
+    /**
+     * Delete prompts and take them out of every deck
+     */
+    async removePrompts(ids) {
+        const remove = new Set(ids);
+        const data = this.store.get();
+        data.prompts = data.prompts.filter(p => !remove.has(p.id));
+        data.decks.forEach(deck => {
+            deck.promptIds = deck.promptIds.filter(id => !remove.has(id));
+        });
+        await this.store.save();
+    }
+}
+
+module.exports = { PromptLibrary, parsePromptFile, DIFFICULTIES };
@@ -0,0 +1,94 @@
+/**
+ * Reference Library - Indexes a folder of pre-recorded target clips by accent and prompt text
+ * Used by the renderer's LocalReferenceProvider for offline practice
+ */
+
+const fs = require('fs');
+const path = require('path');
+const promptKey = require('../js/prompt-key');
+
+const AUDIO_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.webm': 'audio/webm',
+    '.ogg': 'audio/ogg',
+    '.m4a': 'audio/mp4'
+};
+
+/**
+ * Turn a file name like "could-you-please-pass-me.mp3" back into readable prompt text
+ */
+function textFromFileName(fileName) {
+    const base = path.basename(fileName, path.extname(fileName)).replace(/[-_]+/g, ' ').trim();
+    return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+/**
+ * Scan <folder>/<accentId>/ for clips
+ * @returns {object} - { [accentId]: [{ text, key, file, type }] }, file is relative to folder
+ */
+async function scanReferenceFolder(folder) {
+    const index = {};
+    const entries = await fs.promises.readdir(folder, { withFileTypes: true });
+
+    for (const entry of entries.filter(e => e.isDirectory())) {
+        const accentDir = path.join(folder, entry.name);
+        const clips = [];
+
+        // An index.json carries the exact prompt text; otherwise fall back to file names
+        const manifestPath = path.join(accentDir, 'index.json');
+        let manifest = [];
+        try {
+            manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+            if (!Array.isArray(manifest)) {
+                throw new Error('expected an array of { text, file } entries');
+            }
+        } catch (error) {
+            manifest = [];
+            if (error.code !== 'ENOENT') {
+                console.error(`Ignoring unreadable ${manifestPath}:`, error.message);
+            }
+        }
+        const listed = new Set();
+        for (const item of manifest) {
+            if (!item || typeof item.file !== 'string' || typeof item.text !== 'string') {
+                console.error(`Ignoring unreadable entry in ${manifestPath}:`, JSON.stringify(item));
+                continue;
+            }
+            const type = AUDIO_TYPES[path.extname(item.file).toLowerCase()];
+            if (!item.text || !type) continue;
+            clips.push({ text: item.text, key: promptKey(item.text), file: path.join(entry.name, item.file), type });
+            listed.add(item.file);
+        }
+
+        for (const file of await fs.promises.readdir(accentDir)) {
+            const type = AUDIO_TYPES[path.extname(file).toLowerCase()];
+            if (!type || listed.has(file)) continue;
+            const text = textFromFileName(file);
+            clips.push({ text, key: promptKey(text), file: path.join(entry.name, file), type });
+        }
+
+        if (clips.length > 0) index[entry.name] = clips;
+    }
+
+    return index;
+}
+
+/**
+ * Read one clip, refusing paths that escape the reference folder
+ */
+async function readReferenceClip(folder, relativeFile) {
+    const root = path.resolve(folder);
+    const filePath = path.resolve(root, relativeFile);
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error('Clip path is outside the reference folder');
+    }
+
+    const data = await fs.promises.readFile(filePath);
+    return {
+        data: new Uint8Array(data),
+        type: AUDIO_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+    };
+}
+
+module.exports = { scanReferenceFolder, readReferenceClip };
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+/**
+ * Mock ElevenLabs Server - Offline stand-in for the endpoints MirrorAccent uses
+ * Accepts any API key and answers with synthesized speech-like WAV clips, so the
+ * whole transform-and-analyze flow can be exercised without network or credits.
+ *
+ *   npm run mock-server                       # listens on http://localhost:8787
+ *   ELEVENLABS_BASE_URL=http://localhost:8787 npm start
+ *
+ * Options (env): MOCK_PORT, MOCK_LATENCY_MS (delay before each response),
+ * MOCK_REJECT_KEY (this key gets a 401, to try the invalid-key flow)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_PORT) || 8787;
+const LATENCY_MS = Number(process.env.MOCK_LATENCY_MS) || 0;
+const REJECT_KEY = process.env.MOCK_REJECT_KEY || null;
+const SAMPLE_RATE = 22050;
+
+// Same premade voices the app maps accents to, so the defaults work unchanged
+const voices = new Map([
+    ['pNInz6obpgDQGcFmaJgB', { name: 'Adam', accent: 'british', gender: 'male' }],
+    ['21m00Tcm4TlvDq8ikWAM', { name: 'Rachel', accent: 'american', gender: 'female' }],
+    ['AZnzlk1XvdvUeBnXmlld', { name: 'Domi', accent: 'australian', gender: 'female' }],
+    ['IKne3meq5aSn9XLyUdCD', { name: 'Charlie', accent: 'irish', gender: 'male' }],
+    ['SOYHLrjzK2X1ezoPC6cr', { name: 'Harry', accent: 'indian', gender: 'male' }],
+    ['TX3LPaxmHKxFdv7VOQHJ', { name: 'Liam', accent: 'south african', gender: 'male' }]
+].map(([voiceId, { name, accent, gender }]) => [voiceId, {
+    voice_id: voiceId,
+    name,
+    category: 'premade',
+    description: `Mock ${accent} voice`,
+    labels: { accent, gender },
+    preview_url: null
+}]));
+
+const MODELS = [
+    { model_id: 'eleven_multilingual_v2', name: 'Eleven Multilingual v2', can_do_text_to_speech: true, can_do_voice_conversion: false },
+    { model_id: 'eleven_english_sts_v2', name: 'Eleven English v2 (STS)', can_do_text_to_speech: false, can_do_voice_conversion: true }
+];
+
+/**
+ * Speech-like clip: one harmonic "syllable" per ~250ms under a falling pitch contour.
+ * Pitch and vowel resonances depend on the voice, so accents sound (and analyze) differently.
+ */
+function synthesizeSpeech(voiceId, syllables) {
+    const seed = crypto.createHash('md5').update(voiceId).digest();
+    const female = voices.get(voiceId)?.labels.gender === 'female';
+    const baseF0 = (female ? 190 : 110) + (seed[0] % 30);
+    const syllableLength = Math.round(0.25 * SAMPLE_RATE);
+    const lead = Math.round(0.15 * SAMPLE_RATE);
+    const total = lead * 2 + syllables * syllableLength;
+    const samples = new Float32Array(total);
+
+    let phase = 0;
+    for (let s = 0; s < syllables; s++) {
+        // Alternate open and front vowels, nudged per voice
+        const f1 = (s % 2 ? 350 : 700) + (seed[1 + s % 4] % 120);
+        const f2 = (s % 3 ? 1200 : 2100) + (seed[5 + s % 4] % 300);
+        const voiced = Math.round(syllableLength * 0.75);
+
+        for (let i = 0; i < voiced; i++) {
+            const progress = (s * syllableLength + i) / (syllables * syllableLength);
+            const f0 = baseF0 * (1.2 - 0.35 * progress) * (1 + 0.05 * Math.sin(2 * Math.PI * (s + i / voiced)));
+            phase += 2 * Math.PI * f0 / SAMPLE_RATE;
+
+            let value = 0;
+            for (let k = 1; k * f0 < 4000; k++) {
+                const freq = k * f0;
+                const gain = resonance(freq, f1, 90) + 0.6 * resonance(freq, f2, 120) + 0.3 / k;
+                value += gain * Math.sin(k * phase);
+            }
+
+            const envelope = Math.sin(Math.PI * i / voiced) ** 2 * (s === 0 ? 1 : 0.85 - 0.1 * (s % 2));
+            samples[lead + s * syllableLength + i] = value * envelope;
+        }
+    }
+
+    const peak = samples.reduce((max, v) => Math.max(max, Math.abs(v)), 0) || 1;
+    return encodeWav(samples.map(v => 0.8 * v / peak));
+}
+
+function resonance(freq, center, bandwidth) {
+    return 1 / (1 + ((freq - center) / bandwidth) ** 2);
+}
+
+function encodeWav(samples) {
+    const buffer = Buffer.alloc(44 + samples.length * 2);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + samples.length * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);            // PCM
+    buffer.writeUInt16LE(1, 22);            // mono
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(samples.length * 2, 40);
+    samples.forEach((v, i) => buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, v)) * 32767), 44 + i * 2));
+    return buffer;
+}
+
+function countSyllables(text) {
+    const words = String(text || '').toLowerCase().match(/[a-z']+/g) || [];
+    return Math.max(1, words.reduce((sum, w) => sum + Math.max(1, (w.match(/[aeiouy]+/g) || []).length), 0));
+}
+
+/**
+ * Text fields of a multipart body; file parts are only counted
+ */
+function parseMultipart(body, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    const result = { fields: {}, files: 0 };
+    if (!boundary) return result;
+
+    for (const part of body.toString('latin1').split(`--${boundary[1] || boundary[2]}`)) {
+        const name = /name="([^"]+)"/.exec(part);
+        if (!name) continue;
+        if (/filename="/.test(part)) {
+            result.files++;
+        } else {
+            const value = part.split('\r\n\r\n').slice(1).join('\r\n\r\n').replace(/\r\n$/, '');
+            result.fields[name[1]] = Buffer.from(value, 'latin1').toString('utf8');
+        }
+    }
+    return result;
+}
+
+function parseLabels(value) {
+    try {
+        return value ? JSON.parse(value) : {};
+    } catch {
+        return {};
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function sendAudio(res, wav) {
+    res.writeHead(200, { 'Content-Type': 'audio/wav', 'Content-Length': wav.length });
+    res.end(wav);
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const body = await readBody(req);
+    const key = req.headers['xi-api-key'];
+
+    if (!key || key === REJECT_KEY) {
+        return sendJson(res, 401, { detail: { status: 'invalid_api_key', message: 'Invalid API key' } });
+    }
+
+    const route = `${req.method} ${url.pathname}`;
+    let match;
+
+    if (route === 'GET /v1/models') {
+        return sendJson(res, 200, MODELS);
+    }
+
+    if (route === 'GET /v1/voices') {
+        return sendJson(res, 200, { voices: [...voices.values()] });
+    }
+
+    if (route === 'POST /v1/voices/add') {
+        const { fields, files } = parseMultipart(body, req.headers['content-type']);
+        if (!fields.name || files === 0) {
+            return sendJson(res, 422, { detail: { message: 'name and at least one file are required' } });
+        }
+        const voiceId = crypto.randomBytes(10).toString('hex');
+        voices.set(voiceId, {
+            voice_id: voiceId,
+            name: fields.name,
+            category: 'cloned',
+            description: fields.description || '',
+            labels: parseLabels(fields.labels),
+            preview_url: null,
+            created_at_unix: Math.floor(Date.now() / 1000)
+        });
+        return sendJson(res, 200, { voice_id: voiceId, requires_verification: false });
+    }
+
+    if ((match = /^POST \/v1\/voices\/([^/]+)\/edit$/.exec(route))) {
+        const voice = voices.get(match[1]);
+        if (!voice) {
+            return sendJson(res, 404, { detail: { message: 'Voice not found' } });
+        }
+        const { fields } = parseMultipart(body, req.headers['content-type']);
+        if (!fields.name) {
+            return sendJson(res, 422, { detail: { message: 'name is required' } });
+        }
+        voice.name = fields.name;
+        if (fields.description !== undefined) voice.description = fields.description;
+        if (fields.labels !== undefined) voice.labels = parseLabels(fields.labels);
+        return sendJson(res, 200, { status: 'ok' });
+    }
+
+    if ((match = /^DELETE \/v1\/voices\/([^/]+)$/.exec(route))) {
+        if (!voices.delete(match[1])) {
+            return sendJson(res, 404, { detail: { message: 'Voice not found' } });
+        }
+        return sendJson(res, 200, { status: 'ok' });
+    }
+
+    if ((match = /^POST \/v1\/text-to-speech\/([^/]+)$/.exec(route))) {
+        if (!voices.has(match[1])) {
+            return sendJson(res, 404, { detail: { message: 'Voice not found' } });
+        }
+        const { text } = JSON.parse(body.toString('utf8') || '{}');
+        if (!text) {
+            return sendJson(res, 422, { detail: { message: 'text is required' } });
+        }
+        return sendAudio(res, synthesizeSpeech(match[1], countSyllables(text)));
+    }
+
+    if ((match = /^POST \/v1\/speech-to-speech\/([^/]+)$/.exec(route))) {
+        if (!voices.has(match[1])) {
+            return sendJson(res, 404, { detail: { message: 'Voice not found' } });
+        }
+        const { files } = parseMultipart(body, req.headers['content-type']);
+        if (files === 0) {
+            return sendJson(res, 422, { detail: { message: 'audio is required' } });
+        }
+        // The input isn't decoded; answer with a clip of a typical prompt's length
+        return sendAudio(res, synthesizeSpeech(match[1], 12));
+    }
+
+    return sendJson(res, 404, { detail: { message: `No mock for ${route}` } });
+}
+
+const server = http.createServer((req, res) => {
+    setTimeout(() => {
+        handle(req, res).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { detail: { message: error.message } });
+        });
+    }, LATENCY_MS);
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock ElevenLabs API listening on http://localhost:${PORT}`);
+        console.log(`Start the app with ELEVENLABS_BASE_URL=http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, synthesizeSpeech };
@@ -3,61 +3,49 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
     // API Key management
     setApiKey: (key) => ipcRenderer.invoke('set-api-key', key),
-    getApiKey: () => ipcRenderer.invoke('get-api-key'),
+    getApiKeyStatus: () => ipcRenderer.invoke('get-api-key-status'),
+    validateApiKey: (key) => ipcRenderer.invoke('validate-api-key', key),
+    clearApiKey: () => ipcRenderer.invoke('clear-api-key'),
+
+    // App settings
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    updateSettings: (patch) => ipcRenderer.invoke('update-settings', patch),
+    getConnection: () => ipcRenderer.invoke('get-connection'),
+
+    // Practice history
+    addHistoryAttempt: (attempt, audio) => ipcRenderer.invoke('history-add', { attempt, audio }),
+    getHistory: (filter) => ipcRenderer.invoke('history-list', filter),
+    getHistoryAudio: (id, which) => ipcRenderer.invoke('history-audio', { id, which }),
+    clearHistory: () => ipcRenderer.invoke('history-clear'),
+
+    // Minimal-pair vowel drills
+    getDrills: () => ipcRenderer.invoke('drills-list'),
+    addDrillResult: (result) => ipcRenderer.invoke('drill-results-add', result),
+    getDrillResults: (filter) => ipcRenderer.invoke('drill-results-list', filter),
+
+    // Accent catalog
+    getAccents: () => ipcRenderer.invoke('accents-list'),
+    saveAccent: (accent) => ipcRenderer.invoke('accents-save', accent),
+    removeAccent: (id) => ipcRenderer.invoke('accents-remove', id),
+    openAccentsFile: () => ipcRenderer.invoke('accents-open-file'),
+
+    // Offline reference clips
+    chooseReferenceFolder: () => ipcRenderer.invoke('choose-reference-folder'),
+    getReferenceIndex: () => ipcRenderer.invoke('reference-index'),
+    readReferenceClip: (file) => ipcRenderer.invoke('reference-read', file),
+
+    // Prompt library and decks
+    getPrompts: () => ipcRenderer.invoke('prompts-list'),
+    importPrompts: () => ipcRenderer.invoke('prompts-import'),
+    updatePrompt: (id, tags) => ipcRenderer.invoke('prompts-update', { id, tags }),
+    removePrompts: (ids) => ipcRenderer.invoke('prompts-remove', ids),
+    saveDeck: (deck) => ipcRenderer.invoke('decks-save', deck),
+    removeDeck: (id) => ipcRenderer.invoke('decks-remove', id),
+
+    // Generated target audio cache
+    getAudioCacheStats: () => ipcRenderer.invoke('audio-cache-stats'),
+    clearAudioCache: () => ipcRenderer.invoke('audio-cache-clear'),
 
     // ElevenLabs API wrapper
-    elevenLabsRequest: (options) => ipcRenderer.invoke('elevenlabs-request', options),
-
-    // Convenience methods for ElevenLabs
-    async getVoices() {
-        return this.elevenLabsRequest({
-            endpoint: '/v1/voices',
-            method: 'GET'
-        });
-    },
-
-    async cloneVoice(name, description, audioFiles) {
-        const formData = new FormData();
-        formData.append('name', name);
-        formData.append('description', description);
-
-        audioFiles.forEach((file, index) => {
-            formData.append('files', file, `recording_${index}.wav`);
-        });
-
-        return this.elevenLabsRequest({
-            endpoint: '/v1/voices/add',
-            method: 'POST',
-            body: formData,
-            isFormData: true
-        });
-    },
-
-    async speechToSpeech(voiceId, audioBlob, modelId = 'eleven_english_sts_v2') {
-        const formData = new FormData();
-        formData.append('audio', audioBlob, 'input.wav');
-        formData.append('model_id', modelId);
-
-        return this.elevenLabsRequest({
-            endpoint: `/v1/speech-to-speech/${voiceId}`,
-            method: 'POST',
-            body: formData,
-            isFormData: true
-        });
-    },
-
-    async textToSpeech(voiceId, text, modelId = 'eleven_multilingual_v2') {
-        return this.elevenLabsRequest({
-            endpoint: `/v1/text-to-speech/${voiceId}`,
-            method: 'POST',
-            body: {
-                text,
-                model_id: modelId,
-                voice_settings: {
-                    stability: 0.5,
-                    similarity_boost: 0.75
-                }
-            }
-        });
-    }
+    elevenLabsRequest: (options) => ipcRenderer.invoke('elevenlabs-request', options)
 });
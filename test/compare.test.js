@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProsodyAnalyzer = require('../js/prosody.js');
+const { utterance } = require('./helpers/signals');
+
+const analyzer = new ProsodyAnalyzer();
+const SAMPLE_RATE = 16000;
+
+// /ɑ/, /i/, /u/ (adult male averages), half a second each
+const VOWELS = [[730, 1090, 2440], [270, 2290, 3010], [300, 870, 2240]];
+
+/**
+ * Features of a three-syllable phrase whose pitch rises 5 semitones and falls back.
+ * A higher `formantScale` stands in for a shorter vocal tract.
+ */
+function say({ f0 = 110, melody = t => 5 * Math.sin(Math.PI * t / 1.5), formantScale = 1, order = [0, 1, 2], amplitude = 0.5 } = {}) {
+    const vowelAt = t => VOWELS[order[Math.min(2, Math.floor(t / 0.5))]];
+    const samples = utterance(
+        t => f0 * 2 ** (melody(t) / 12),
+        t => vowelAt(t).map((f, i) => [f * formantScale, 80 + 20 * i]),
+        { amplitude }
+    );
+    // Dip the level between syllables
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] *= Math.sqrt(Math.sin(Math.PI * ((i / SAMPLE_RATE) % 0.5) / 0.5));
+    }
+    return analyzer.analyzeSamples(samples, SAMPLE_RATE);
+}
+
+const reference = say();
+// Same phrase in a voice nearly an octave higher, with shorter-tract formants, recorded 14 dB quieter
+const higherVoice = { f0: 200, formantScale: 1.18, amplitude: 0.1 };
+
+test('semitonesFromMedian gives the same contour an octave apart', () => {
+    const low = [100, 0, 110, 120, 0, 100];
+    const high = low.map(v => v * 2);
+    assert.deepStrictEqual(analyzer.semitonesFromMedian(high), analyzer.semitonesFromMedian(low));
+    assert.ok(Math.abs(analyzer.semitonesFromMedian([100, 100, 200])[2] - 12) < 1e-9);
+    assert.strictEqual(analyzer.pitchRangeSemitones([0, 150, 0]), null);
+});
+
+test('relativeIntensity ignores gain and the depth of silence', () => {
+    const levels = [-90, -30, -20, -25, -90];
+    const quieter = levels.map(v => v - 20);
+    const deeperSilence = [-120, -30, -20, -25, -120];
+    assert.deepStrictEqual(analyzer.relativeIntensity(quieter), analyzer.relativeIntensity(levels));
+    assert.deepStrictEqual(analyzer.relativeIntensity(deeperSilence), analyzer.relativeIntensity(levels));
+});
+
+test('compareProsody scores a different voice saying the same thing as a match', () => {
+    const scores = analyzer.compareProsody(reference, say(higherVoice));
+    assert.ok(scores.f0 > 0.95, `f0 ${scores.f0.toFixed(3)}`);
+    assert.ok(scores.pitchRange > 0.95, `pitchRange ${scores.pitchRange.toFixed(3)}`);
+    assert.ok(scores.formants > 0.9, `formants ${scores.formants.toFixed(3)}`);
+    assert.ok(scores.intensity > 0.95, `intensity ${scores.intensity.toFixed(3)}`);
+});
+
+test('compareProsody still catches a flat melody in a different voice', () => {
+    const matched = analyzer.compareProsody(reference, say(higherVoice));
+    const flat = analyzer.compareProsody(reference, say({ ...higherVoice, melody: () => 0 }));
+    assert.ok(flat.pitchRange < 0.5, `pitchRange ${flat.pitchRange.toFixed(3)}`);
+    assert.ok(flat.f0 < matched.f0 - 0.1, `flat f0 ${flat.f0.toFixed(3)} vs matched ${matched.f0.toFixed(3)}`);
+});
+
+test('compareProsody still catches the wrong vowels in a different voice', () => {
+    const scores = analyzer.compareProsody(reference, say({ ...higherVoice, order: [1, 0, 2] }));
+    assert.ok(scores.formants < 0.75, `formants ${scores.formants.toFixed(3)}`);
+});
+
+test('generateFeedback does not tell a higher voice to lower its pitch', () => {
+    // Same range, opposite shape: falls and rises back
+    const user = say({ ...higherVoice, melody: t => -5 * Math.sin(Math.PI * t / 1.5) });
+    const scores = analyzer.compareProsody(reference, user);
+    scores.f0 = 0.5; // Force the pitch advice
+    const feedback = analyzer.generateFeedback(scores, reference, user).join(' ');
+    assert.doesNotMatch(feedback, /lower(ing)? it|higher pitch/);
+    assert.match(feedback, /rises and falls/);
+});
+
+test('compareVowel scores the same vowel in a shorter vocal tract as a match once both vowel spaces are known', () => {
+    const target = VOWELS.map(([f1, f2]) => ({ f1, f2 }));
+    const user = target.map(({ f1, f2 }) => ({ f1: f1 * 1.2, f2: f2 * 1.2 }));
+    const spaces = { target: analyzer.vowelSpace(target), user: analyzer.vowelSpace(user) };
+
+    const raw = analyzer.compareVowel(target[1], user[1]);
+    const normalized = analyzer.compareVowel(target[1], user[1], spaces);
+    assert.ok(normalized > 0.95, `normalized ${normalized.toFixed(3)}`);
+    assert.ok(raw < normalized - 0.1, `raw ${raw.toFixed(3)} vs normalized ${normalized.toFixed(3)}`);
+
+    const wrong = analyzer.compareVowel(target[1], user[0], spaces);
+    assert.ok(wrong < 0.2, `wrong vowel ${wrong.toFixed(3)}`);
+    assert.ok(analyzer.vowelOffset(target[1], user[0], spaces).f1 > 0, 'the open vowel has the higher F1');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProsodyAnalyzer = require('../js/prosody.js');
+
+const analyzer = new ProsodyAnalyzer();
+
+// A rise-fall contour like a statement's pitch, sampled at `length` points
+function contour(length, shape = t => Math.sin(Math.PI * t)) {
+    return Array.from({ length }, (_, i) => shape(i / (length - 1)));
+}
+
+test('dtwSimilarity is 1 for identical sequences', () => {
+    const seq = contour(80);
+    assert.strictEqual(analyzer.dtwSimilarity(seq, seq), 1);
+});
+
+test('dtwSimilarity ignores offset and scale (speaker range and loudness)', () => {
+    const seq = contour(80);
+    const shifted = seq.map(v => 120 + 40 * v);
+    assert.ok(analyzer.dtwSimilarity(seq, shifted) > 0.999);
+});
+
+test('dtwSimilarity tolerates the same shape spoken faster or slower', () => {
+    const seq = contour(80);
+    for (const length of [50, 120, 200]) {
+        const similarity = analyzer.dtwSimilarity(seq, contour(length));
+        assert.ok(similarity > 0.97, `${length} points: ${similarity.toFixed(3)}`);
+    }
+});
+
+test('dtwSimilarity tolerates uneven timing within the utterance', () => {
+    // Same rise-fall, but the peak comes at 30% instead of 50% of the way through
+    const early = contour(80, t => Math.sin(Math.PI * (t < 0.3 ? t / 0.6 : 0.5 + (t - 0.3) / 1.4)));
+    const similarity = analyzer.dtwSimilarity(contour(80), early);
+    assert.ok(similarity > 0.95, `similarity ${similarity.toFixed(3)}`);
+});
+
+test('dtwSimilarity ranks closer shapes higher', () => {
+    const target = contour(80);
+    const rising = contour(80, t => t);
+    const falling = contour(80, t => 1 - t);
+    const flipped = target.map(v => -v);
+
+    const similar = analyzer.dtwSimilarity(target, contour(80, t => Math.sin(Math.PI * t) ** 2));
+    const different = analyzer.dtwSimilarity(target, flipped);
+    assert.ok(similar > 0.9, `similar shape ${similar.toFixed(3)}`);
+    assert.ok(different < similar - 0.1, `flipped ${different.toFixed(3)} vs similar ${similar.toFixed(3)}`);
+    assert.ok(analyzer.dtwSimilarity(rising, falling) < 0.7, 'rising vs falling should score low');
+});
+
+test('dtwSimilarity is 0 when a sequence is empty', () => {
+    assert.strictEqual(analyzer.dtwSimilarity([], contour(10)), 0);
+    assert.strictEqual(analyzer.dtwSimilarity(contour(10), []), 0);
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProsodyAnalyzer = require('../js/prosody.js');
+const { vowel, noise, seededRandom } = require('./helpers/signals');
+
+const analyzer = new ProsodyAnalyzer();
+const SAMPLE_RATE = 16000;
+
+function multiply(p, q) {
+    const result = new Array(p.length + q.length - 1).fill(0);
+    p.forEach((a, i) => q.forEach((b, j) => { result[i + j] += a * b; }));
+    return result;
+}
+
+/**
+ * LPC polynomial [1, a1, ..., ap] with a conjugate pole pair at each resonance
+ */
+function lpcForResonances(resonances, sampleRate) {
+    return resonances.reduce((poly, [frequency, bandwidth]) => {
+        const r = Math.exp(-Math.PI * bandwidth / sampleRate);
+        const theta = 2 * Math.PI * frequency / sampleRate;
+        return multiply(poly, [1, -2 * r * Math.cos(theta), r * r]);
+    }, [1]);
+}
+
+function medianVoiced(contour) {
+    return analyzer.median(contour.values.filter(v => v > 0));
+}
+
+function assertWithin(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * expected,
+        `${label}: got ${Math.round(actual)} Hz, expected ${expected} Hz ± ${tolerance * 100}%`);
+}
+
+test('findPolynomialRoots finds known real and complex roots', () => {
+    // Coefficients in ascending powers: (z - 0.5)(z + 0.3)(z^2 - 2*0.9cos(1)z + 0.81)
+    const pair = { real: 0.9 * Math.cos(1), imag: 0.9 * Math.sin(1) };
+    const coeffs = multiply(multiply([-0.5, 1], [0.3, 1]), [0.81, -2 * pair.real, 1]);
+    const expected = [{ real: 0.5, imag: 0 }, { real: -0.3, imag: 0 }, pair, { real: pair.real, imag: -pair.imag }];
+
+    const roots = analyzer.findPolynomialRoots(coeffs);
+    assert.strictEqual(roots.length, 4);
+    for (const root of expected) {
+        const closest = Math.min(...roots.map(r => Math.hypot(r.real - root.real, r.imag - root.imag)));
+        assert.ok(closest < 1e-6, `no root near ${root.real.toFixed(3)}${root.imag >= 0 ? '+' : ''}${root.imag.toFixed(3)}i`);
+    }
+});
+
+test('lpcToFormants recovers resonances from an exact LPC polynomial', () => {
+    const resonances = [[500, 80], [1500, 100], [2500, 120]];
+    const formants = analyzer.lpcToFormants(lpcForResonances(resonances, SAMPLE_RATE), SAMPLE_RATE);
+
+    assert.strictEqual(formants.length, 3);
+    formants.forEach((f, i) => assertWithin(f, resonances[i][0], 0.01, `F${i + 1}`));
+});
+
+test('levinson recovers the coefficients of an autoregressive process', () => {
+    // Drive a known all-pole filter with white noise, then fit it back
+    const expected = lpcForResonances([[700, 150], [2000, 200]], SAMPLE_RATE);
+    const random = seededRandom(7);
+    const samples = new Float32Array(SAMPLE_RATE);
+    for (let i = 0; i < samples.length; i++) {
+        let y = 2 * random() - 1;
+        for (let k = 1; k < expected.length && k <= i; k++) y -= expected[k] * samples[i - k];
+        samples[i] = y;
+    }
+
+    const order = expected.length - 1;
+    const lpc = analyzer.levinson(analyzer.autocorrelation(samples, order + 1), order);
+    assert.strictEqual(lpc[0], 1);
+    for (let k = 1; k <= order; k++) {
+        assert.ok(Math.abs(lpc[k] - expected[k]) < 0.1 * Math.abs(expected[k]), `a${k}: got ${lpc[k].toFixed(3)}, expected ${expected[k].toFixed(3)}`);
+    }
+
+    // The fitted filter resonates where the original does
+    const formants = analyzer.lpcToFormants(lpc, SAMPLE_RATE);
+    assert.strictEqual(formants.length, 2);
+    assertWithin(formants[0], 700, 0.02, 'first resonance');
+    assertWithin(formants[1], 2000, 0.02, 'second resonance');
+});
+
+// Peterson & Barney averages for adult male speakers
+const VOWELS = [
+    { vowel: 'ɑ (father)', formants: [730, 1090, 2440] },
+    { vowel: 'æ (cat)', formants: [660, 1720, 2410] },
+    { vowel: 'ɛ (bed)', formants: [530, 1840, 2480] },
+    { vowel: 'ʌ (cup)', formants: [640, 1190, 2390] }
+];
+
+test('extractFormants measures open and mid vowels within tolerance', () => {
+    // F1 is biased upward by the harmonics of F0; F2 and F3 are tighter
+    const tolerances = [0.12, 0.05, 0.05];
+    for (const { vowel: name, formants } of VOWELS) {
+        for (const f0 of [100, 130]) {
+            const samples = vowel(f0, formants.map((f, i) => [f, 80 + 20 * i]));
+            const result = analyzer.extractFormants(samples, SAMPLE_RATE);
+            [result.f1, result.f2, result.f3].forEach((contour, i) => {
+                assertWithin(medianVoiced(contour), formants[i], tolerances[i], `${name} at ${f0} Hz, F${i + 1}`);
+            });
+        }
+    }
+});
+
+test('extractFormants separates front from back and close from open vowels', () => {
+    const measure = formants => {
+        const result = analyzer.extractFormants(vowel(120, formants.map((f, i) => [f, 80 + 20 * i])), SAMPLE_RATE);
+        return { f1: medianVoiced(result.f1), f2: medianVoiced(result.f2) };
+    };
+    const i = measure([270, 2290, 3010]);  // beet
+    const u = measure([300, 870, 2240]);   // boot
+    const a = measure([730, 1090, 2440]);  // father
+
+    assert.ok(i.f2 > 2000, `/i/ F2 ${Math.round(i.f2)} Hz should be front (> 2000 Hz)`);
+    assert.ok(u.f2 < 1200, `/u/ F2 ${Math.round(u.f2)} Hz should be back (< 1200 Hz)`);
+    assert.ok(i.f1 < a.f1 - 200 && u.f1 < a.f1 - 200, 'close vowels should have a much lower F1 than /ɑ/');
+});
+
+test('extractFormants leaves silent frames empty', () => {
+    const samples = new Float32Array(SAMPLE_RATE / 2);
+    samples.set(noise(3, { duration: 0.25, amplitude: 0.3 }));
+    const result = analyzer.extractFormants(samples, SAMPLE_RATE);
+    const last = result.f1.values.slice(-5);
+    assert.ok(last.every(v => v === 0), `expected no formants in silence, got ${last.join(', ')}`);
+});
@@ -0,0 +1,142 @@
+/**
+ * Synthetic test signals with known answers: tones at a set F0, vowels with set
+ * formants and syllable trains at a set rate. All are deterministic.
+ */
+
+/**
+ * Pure sine
+ */
+function sine(frequency, { sampleRate = 16000, duration = 1, amplitude = 0.5 } = {}) {
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+    }
+    return samples;
+}
+
+/**
+ * Harmonic tone with 1/k amplitudes (sawtooth-like, closer to a voice than a sine)
+ */
+function harmonicTone(frequency, { sampleRate = 16000, duration = 1, amplitude = 0.5, harmonics = 10 } = {}) {
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    for (let k = 1; k <= harmonics && k * frequency < sampleRate / 2; k++) {
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] += amplitude / k * Math.sin(2 * Math.PI * k * frequency * i / sampleRate);
+        }
+    }
+    return normalizePeak(samples, amplitude);
+}
+
+/**
+ * Vowel from a glottal impulse train at f0 through cascaded two-pole resonators
+ * (as in a Klatt synthesizer), so the formant frequencies are exactly known
+ * @param {Array} formants - [[frequency, bandwidth], ...] in Hz
+ */
+function vowel(f0, formants, { sampleRate = 16000, duration = 0.5, amplitude = 0.5 } = {}) {
+    let samples = new Float32Array(Math.round(sampleRate * duration));
+    const period = sampleRate / f0;
+    for (let t = 0; t < samples.length; t += period) {
+        samples[Math.round(t)] = 1;
+    }
+    for (const [frequency, bandwidth] of formants) {
+        samples = resonator(samples, frequency, bandwidth, sampleRate);
+    }
+    return normalizePeak(samples, amplitude);
+}
+
+/**
+ * Spoken-phrase stand-in with a moving pitch and changing vowels: an impulse train
+ * following f0(t) through resonators following formants(t)
+ * @param {function} f0 - Time (s) to F0 in Hz
+ * @param {function} formants - Time (s) to [[frequency, bandwidth], ...]
+ */
+function utterance(f0, formants, { sampleRate = 16000, duration = 1.5, amplitude = 0.5 } = {}) {
+    let samples = new Float32Array(Math.round(sampleRate * duration));
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        phase += f0(i / sampleRate) / sampleRate;
+        if (phase >= 1) {
+            phase -= 1;
+            samples[i] = 1;
+        }
+    }
+
+    const count = formants(0).length;
+    for (let k = 0; k < count; k++) {
+        samples = resonator(samples, t => formants(t)[k][0], t => formants(t)[k][1], sampleRate);
+    }
+    return normalizePeak(samples, amplitude);
+}
+
+/**
+ * Two-pole resonator; frequency and bandwidth are numbers or functions of time (s)
+ */
+function resonator(input, frequency, bandwidth, sampleRate) {
+    const at = (value, t) => typeof value === 'function' ? value(t) : value;
+    const output = new Float32Array(input.length);
+    let y1 = 0;
+    let y2 = 0;
+    for (let i = 0; i < input.length; i++) {
+        const t = i / sampleRate;
+        const r = Math.exp(-Math.PI * at(bandwidth, t) / sampleRate);
+        const b = 2 * r * Math.cos(2 * Math.PI * at(frequency, t) / sampleRate);
+        const c = -r * r;
+        const a = 1 - b - c;
+
+        const y = a * input[i] + b * y1 + c * y2;
+        output[i] = y;
+        y2 = y1;
+        y1 = y;
+    }
+    return output;
+}
+
+/**
+ * Voiced bursts at a fixed rate with silence between them, one burst per "syllable"
+ * @param {number} rate - Bursts per second
+ * @param {number} [dutyCycle] - Fraction of each period that is voiced
+ */
+function syllableTrain(rate, { sampleRate = 16000, duration = 3, f0 = 150, dutyCycle = 0.6, amplitude = 0.5 } = {}) {
+    const samples = harmonicTone(f0, { sampleRate, duration, amplitude });
+    const period = sampleRate / rate;
+    for (let i = 0; i < samples.length; i++) {
+        const phase = (i % period) / period;
+        // Raised-cosine envelope over the voiced part, silence for the rest
+        samples[i] *= phase < dutyCycle ? Math.sin(Math.PI * phase / dutyCycle) ** 2 : 0;
+    }
+    return samples;
+}
+
+/**
+ * White noise from a seeded generator (mulberry32), so runs are repeatable
+ */
+function noise(seed, { sampleRate = 16000, duration = 1, amplitude = 0.5 } = {}) {
+    const random = seededRandom(seed);
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * (2 * random() - 1);
+    }
+    return samples;
+}
+
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function normalizePeak(samples, amplitude) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    if (peak > 0) {
+        for (let i = 0; i < samples.length; i++) samples[i] *= amplitude / peak;
+    }
+    return samples;
+}
+
+module.exports = { sine, harmonicTone, vowel, utterance, syllableTrain, noise, seededRandom };
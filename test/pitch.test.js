@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProsodyAnalyzer = require('../js/prosody.js');
+const { sine, harmonicTone, noise } = require('./helpers/signals');
+
+const analyzer = new ProsodyAnalyzer();
+
+// Same search range as extractF0Contour (50-400 Hz)
+function detect(samples, sampleRate) {
+    const frame = samples.subarray(0, Math.floor(sampleRate * 0.025));
+    return analyzer.yinPitchDetection(frame, sampleRate, Math.floor(sampleRate / 400), Math.floor(sampleRate / 50));
+}
+
+function assertWithin(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance * expected,
+        `${label}: got ${actual.toFixed(2)} Hz, expected ${expected} Hz ± ${tolerance * 100}%`);
+}
+
+test('yinPitchDetection finds the frequency of a sine within 0.5%', () => {
+    for (const sampleRate of [16000, 44100, 48000]) {
+        for (const f0 of [80, 110, 150, 220, 300, 380]) {
+            assertWithin(detect(sine(f0, { sampleRate, duration: 0.05 }), sampleRate), f0, 0.005, `${f0} Hz at ${sampleRate} Hz`);
+        }
+    }
+});
+
+test('yinPitchDetection finds the fundamental of a harmonic tone, not a harmonic', () => {
+    for (const f0 of [90, 130, 185, 260]) {
+        assertWithin(detect(harmonicTone(f0, { duration: 0.05 }), 16000), f0, 0.01, `${f0} Hz harmonic tone`);
+    }
+});
+
+test('yinPitchDetection reports unvoiced (0) for noise and silence', () => {
+    assert.strictEqual(detect(noise(1, { duration: 0.05 }), 16000), 0);
+    assert.strictEqual(detect(new Float32Array(800), 16000), 0);
+});
+
+test('extractF0Contour tracks a steady tone in every frame', () => {
+    const contour = analyzer.extractF0Contour(harmonicTone(200), 16000);
+    assert.ok(contour.values.length >= 95);
+    for (const value of contour.values) {
+        assertWithin(value, 200, 0.01, 'contour frame');
+    }
+});
+
+test('extractF0Contour follows a glide', () => {
+    // Linear glide from 120 to 240 Hz over one second
+    const sampleRate = 16000;
+    const samples = new Float32Array(sampleRate);
+    let phase = 0;
+    for (let i = 0; i < samples.length; i++) {
+        phase += 2 * Math.PI * (120 + 120 * i / samples.length) / sampleRate;
+        samples[i] = 0.5 * Math.sin(phase);
+    }
+
+    const contour = analyzer.extractF0Contour(samples, sampleRate);
+    contour.values.forEach((value, i) => {
+        // Frequency at the middle of the 25 ms frame
+        const expected = 120 + 120 * (contour.times[i] + 0.0125);
+        assertWithin(value, expected, 0.02, `frame at ${contour.times[i].toFixed(2)}s`);
+    });
+});
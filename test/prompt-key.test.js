@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const promptKey = require('../js/prompt-key.js');
+
+test('promptKey ignores case, punctuation and spacing', () => {
+    assert.strictEqual(promptKey('Could you pass the salt?'), promptKey('could you  pass the SALT'));
+});
+
+test('promptKey keeps letters of every script apart', () => {
+    assert.notStrictEqual(promptKey('Привет, как дела?'), promptKey('Спасибо большое.'));
+    assert.notStrictEqual(promptKey('你好'), promptKey('谢谢'));
+    assert.notStrictEqual(promptKey('¿Dónde está?'), promptKey('¿Dnde est?'));
+    assert.notStrictEqual(promptKey('Привет'), '');
+});
+
+test('promptKey treats composed and decomposed accents alike', () => {
+    assert.strictEqual(promptKey('caf\u00e9'), promptKey('cafe\u0301'));
+});
+
+test('promptKey keeps word breaks', () => {
+    assert.notStrictEqual(promptKey('ice cream'), promptKey('I scream'));
+    assert.notStrictEqual(promptKey('a part'), promptKey('apart'));
+    assert.strictEqual(promptKey('  Well -- a part, then.'), 'well a part then');
+});
+
+test('promptKey matches reference clip names without apostrophes', () => {
+    assert.strictEqual(promptKey("Isn't it beautiful?"), promptKey('isnt-it-beautiful'));
+    assert.strictEqual(promptKey('Isn\u2019t it beautiful?'), promptKey('isnt_it_beautiful'));
+});
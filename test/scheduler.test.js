@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The scheduler uses the renderer's promptKey global
+global.promptKey = require('../js/prompt-key.js');
+const PromptScheduler = require('../js/scheduler.js');
+
+const { DAY_MS } = PromptScheduler;
+const PROMPT = 'Could you please pass me the salt?';
+
+test('review schedules a recalled prompt a day, then six days out', () => {
+    const scheduler = new PromptScheduler();
+    const first = scheduler.review('british-rp', PROMPT, 0.9, 0);
+    assert.strictEqual(first.interval, 1);
+    assert.strictEqual(first.due, DAY_MS);
+
+    const second = scheduler.review('british-rp', PROMPT, 0.9, DAY_MS);
+    assert.strictEqual(second.interval, 6);
+    assert.strictEqual(second.due, 7 * DAY_MS);
+});
+
+test('review before a prompt is due keeps its schedule', () => {
+    const scheduler = new PromptScheduler();
+    scheduler.review('british-rp', PROMPT, 0.9, 0);
+    const easiness = scheduler.getCard('british-rp', PROMPT).easiness;
+
+    // Drilled three more times within the hour
+    for (const minutes of [5, 10, 15]) {
+        scheduler.review('british-rp', PROMPT, minutes === 15 ? 0.2 : 0.95, minutes * 60 * 1000);
+    }
+
+    const card = scheduler.getCard('british-rp', PROMPT);
+    assert.strictEqual(card.repetitions, 1);
+    assert.strictEqual(card.interval, 1);
+    assert.strictEqual(card.due, DAY_MS);
+    assert.strictEqual(card.lastScore, 0.2);
+    assert.notStrictEqual(card.easiness, easiness);
+    assert.strictEqual(card.reviews, 4);
+});
+
+test('a failed prompt that comes due again is relearned', () => {
+    const scheduler = new PromptScheduler();
+    scheduler.review('british-rp', PROMPT, 0.2, 0);
+    const card = scheduler.review('british-rp', PROMPT, 0.2, PromptScheduler.RELEARN_MS);
+    assert.strictEqual(card.repetitions, 0);
+    assert.strictEqual(card.due, 2 * PromptScheduler.RELEARN_MS);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProsodyAnalyzer = require('../js/prosody.js');
+const { syllableTrain, noise } = require('./helpers/signals');
+
+const analyzer = new ProsodyAnalyzer();
+const SAMPLE_RATE = 16000;
+
+test('estimateSpeakingRate counts syllables at rates from slow to fast speech', () => {
+    for (const rate of [2, 3, 4, 5, 6]) {
+        for (const dutyCycle of [0.4, 0.6, 0.8]) {
+            const result = analyzer.estimateSpeakingRate(syllableTrain(rate, { dutyCycle }), SAMPLE_RATE);
+            // One syllable either way over the 3 s signal
+            assert.ok(Math.abs(result.estimatedSyllables - rate * 3) <= 1,
+                `${rate}/s at duty ${dutyCycle}: counted ${result.estimatedSyllables}, expected ${rate * 3}`);
+            assert.ok(Math.abs(result.syllablesPerSecond - rate) <= 0.35, `${rate}/s: got ${result.syllablesPerSecond.toFixed(2)}/s`);
+        }
+    }
+});
+
+test('estimateSpeakingRate is not thrown by a low noise floor', () => {
+    const samples = syllableTrain(4);
+    const floor = noise(5, { duration: 3, amplitude: 0.005 });
+    for (let i = 0; i < samples.length; i++) samples[i] += floor[i];
+
+    assert.ok(Math.abs(analyzer.estimateSpeakingRate(samples, SAMPLE_RATE).syllablesPerSecond - 4) <= 0.35);
+});
+
+test('estimateSpeakingRate averages over pauses', () => {
+    // 4 syllables/s with the middle second silent: 8 syllables in 3 s
+    const samples = syllableTrain(4);
+    samples.fill(0, SAMPLE_RATE, 2 * SAMPLE_RATE);
+
+    const result = analyzer.estimateSpeakingRate(samples, SAMPLE_RATE);
+    assert.strictEqual(result.duration, 3);
+    assert.ok(Math.abs(result.estimatedSyllables - 8) <= 1, `counted ${result.estimatedSyllables}`);
+});
+
+test('estimateSpeakingRate tells faster from slower speech', () => {
+    const slow = analyzer.estimateSpeakingRate(syllableTrain(3), SAMPLE_RATE).syllablesPerSecond;
+    const fast = analyzer.estimateSpeakingRate(syllableTrain(4.5), SAMPLE_RATE).syllablesPerSecond;
+    assert.ok(fast > slow * 1.3, `fast ${fast.toFixed(2)}/s vs slow ${slow.toFixed(2)}/s`);
+});